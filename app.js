@@ -1,35 +1,4 @@
-const LICENSES = [
-  {
-    name: "by-nc-nd",
-    url: "http://creativecommons.org/licenses/by-nc-nd/3.0/",
-    bc_id: 2,
-  },
-  {
-    name: "by-nc-sa",
-    url: "http://creativecommons.org/licenses/by-nc-sa/3.0/",
-    bc_id: 3,
-  },
-  {
-    name: "by-nc",
-    url: "http://creativecommons.org/licenses/by-nc/3.0/",
-    bc_id: 4,
-  },
-  {
-    name: "by-nd",
-    url: "http://creativecommons.org/licenses/by-nd/3.0/",
-    bc_id: 5,
-  },
-  {
-    name: "by-sa",
-    url: "http://creativecommons.org/licenses/by-sa/3.0/",
-    bc_id: 8,
-  },
-  {
-    name: "by",
-    url: "http://creativecommons.org/licenses/by/3.0/",
-    bc_id: 6,
-  },
-];
+const LICENSES = Catalog.LICENSES;
 
 const LICENSE_EXPLANATIONS = {
   by: "requires attribution",
@@ -45,6 +14,9 @@ const BRAND = {
     "Find Creative Commons music fast. Filter by tag and license terms, then open albums on Bandcamp.",
   navDiscover: "Discover by Tag",
   navResults: "Results",
+  navArtists: "Artists",
+  navCrates: "Crates",
+  navGraph: "Tag Graph",
 };
 
 const LICENSE_TERM_LEGEND = [
@@ -68,6 +40,15 @@ const LICENSE_BADGE_HINT =
   "SA and ND cannot be combined in a standard Creative Commons license.";
 const BY_BADGE_TOOLTIP =
   "Attribution is required for all standard Creative Commons licenses.";
+const ATTRIBUTION_FORMATS = [
+  { format: "plain", label: "Plain text" },
+  { format: "html", label: "HTML" },
+  { format: "markdown", label: "Markdown" },
+];
+const ATTRIBUTION_WARNINGS = {
+  nc: "Non-commercial: don't use this album in ads, sponsored or otherwise monetized work.",
+  nd: "No derivatives: share it unchanged; remixes, edits and syncing to video are not allowed.",
+};
 const ALL_LICENSE_SELECTION = "all";
 const DEFAULT_RESULTS_LICENSE_SELECTION = ALL_LICENSE_SELECTION;
 const STANDARD_LICENSE_CODES = new Set(
@@ -77,9 +58,124 @@ const STANDARD_LICENSE_CODES = new Set(
 const LOW_COUNT = 200;
 const VERY_LOW_COUNT = 10;
 const LIST_BATCH_SIZE = 10;
+const LIST_PAGE_SIZE = 40;
+const RELATED_TAG_COUNT = 8;
+const RELATED_STRIP_SIZE = 3;
+const RELATED_STRIP_BATCH_SIZE = 60;
+const LIST_WINDOW_THRESHOLD = 60;
+const LIST_WINDOW_OVERSCAN = 6;
+const LIST_CARD_GAP = 12;
+const LIST_CARD_ESTIMATED_HEIGHT = 180;
 const SAMPLE_COUNT = 5;
 const URL_CAP = 10;
-const ROUTES = new Set(["/", "/list"]);
+const GRAPH_TAG_COUNT = 80;
+const GRAPH_EDGES_PER_TAG = 6;
+const GRAPH_WIDTH = 960;
+const GRAPH_HEIGHT = 640;
+const GRAPH_PADDING = 40;
+const GRAPH_MIN_RADIUS = 6;
+const GRAPH_MAX_RADIUS = 28;
+const GRAPH_LAYOUT_STEPS = 300;
+const GRAPH_REPULSION = 2400;
+const GRAPH_SPRING_LENGTH = 70;
+const GRAPH_SPRING_STRENGTH = 0.04;
+const GRAPH_GRAVITY = 0.012;
+const GRAPH_DAMPING = 0.8;
+const GRAPH_MAX_STEP = 24;
+const GRAPH_MIN_SCALE = 0.5;
+const GRAPH_MAX_SCALE = 6;
+const GRAPH_ZOOM_STEP = 1.4;
+const GRAPH_FOCUS_SCALE = 2;
+const GRAPH_DRAG_THRESHOLD = 4;
+const ROUTES = new Set(["/", "/list", "/artists", "/crates", "/graph"]);
+const PARAM_ROUTES = [
+  { path: "/artist", param: "subdomain" },
+  { path: "/album", param: "urlId" },
+];
+const COPY_FEEDBACK_MS = 1600;
+const CRATES_STORAGE_KEY = "free-music-finder:crates";
+const STARS_STORAGE_KEY = "free-music-finder:stars";
+const HISTORY_STORAGE_KEY = "free-music-finder:history";
+const SESSION_PLAYED_STORAGE_KEY = "free-music-finder:session-played";
+const BANNED_ARTISTS_STORAGE_KEY = "free-music-finder:banned-artists";
+const HISTORY_LIMIT = 100;
+const QUEUE_REFILL_THRESHOLD = 5;
+const RANDOM_SKIP_LIMIT = 500;
+const STARS_FETCH_CHUNK_SIZE = 100;
+const RADIO_CRATE_NAME = "Radio finds";
+const RADIO_INTERVAL_OPTIONS = [10, 20, 30, 45];
+const DEFAULT_RADIO_INTERVAL = 20;
+const RECENTLY_PLAYED_COUNT = 6;
+const CRATE_EXPORT_FORMATS = [
+  { format: "json", label: "JSON", extension: "json", mimeType: "application/json" },
+  { format: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  { format: "m3u", label: "M3U", extension: "m3u", mimeType: "audio/x-mpegurl" },
+];
+const CRATE_CSV_COLUMNS = [
+  "url_id",
+  "title",
+  "artist",
+  "url",
+  "bc_id",
+  "license",
+  "license_url",
+  "tags",
+  "attribution",
+  "added_at",
+];
+const ARTIST_DIRECTORY_PAGE_SIZE = 120;
+const ARTIST_DIRECTORY_LETTERS = ["#", ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"];
+const DEFAULT_LIST_SORT = "shuffle";
+const LIST_SORT_OPTIONS = [
+  { value: DEFAULT_LIST_SORT, label: "Shuffle" },
+  { value: "title", label: "Title A–Z" },
+  { value: "artist", label: "Artist A–Z" },
+  { value: "tags", label: "Most tags" },
+  { value: "bc_id", label: "Bandcamp ID" },
+  { value: "favorites", label: "Favorites first" },
+];
+const LIST_ROUTE_FILTER_KEYS = [
+  "lic",
+  "license",
+  "tag",
+  "tags",
+  "any",
+  "not",
+  "genre",
+  "q",
+  "cap",
+  "stars",
+  "sort",
+  "seed",
+];
+const LIST_TAG_MODES = [
+  {
+    mode: "all",
+    stateKey: "listSelectedTagIds",
+    param: "tags",
+    label: "ALL",
+    hint: "must have",
+  },
+  {
+    mode: "any",
+    stateKey: "listAnyTagIds",
+    param: "any",
+    label: "ANY",
+    hint: "any of",
+  },
+  {
+    mode: "not",
+    stateKey: "listExcludedTagIds",
+    param: "not",
+    label: "NOT",
+    hint: "exclude",
+  },
+];
+const CATALOG_API_PATH = "api/";
+// Both paths are stamped by scripts/version-assets.js so a deploy never pairs
+// this file with a cached worker or catalog.js.
+const CATALOG_WORKER_PATH = "catalog-worker.js?v=719458b2d4a2";
+const CATALOG_SCRIPT_PATH = "catalog.js?v=a0e3d561700c";
 
 const licenseById = new Map(LICENSES.map((license) => [license.bc_id, license]));
 const licenseByName = new Map(
@@ -87,22 +183,34 @@ const licenseByName = new Map(
 );
 
 const appEl = document.getElementById("app");
+const playerHostEl = document.getElementById("player-host");
 
 const state = {
   loadingTags: "not-started",
   loadingUrls: "not-started",
   loadingLicenseCounts: "not-started",
+  loadingGenres: "not-started",
   tags: [],
   urls: [],
   tagById: new Map(),
   tagByName: new Map(),
+  tagAliases: new Map(),
+  genres: [],
+  genreById: new Map(),
+  genreTreeOpen: new Set(),
   urlById: new Map(),
+  catalog: null,
+  catalogSource: null,
+  catalogTotal: 0,
+  catalogWorker: null,
   licenseCountsById: new Map(),
   urlLicenseCountsById: new Map(),
+  catalogTagCounts: null,
   playerData: null,
 
   route: {
     path: "/",
+    params: {},
     query: new URLSearchParams(),
   },
 
@@ -117,16 +225,114 @@ const state = {
   debouncedListTextSearch: "",
   listTextSearchTimer: null,
   listSelectedTagIds: [],
+  listAnyTagIds: [],
+  listExcludedTagIds: [],
   listTagSearchInput: "",
   listTagSuggestions: [],
   listTagSuggestionsVisible: false,
+  listTagActiveIndex: -1,
+  listTagAddOrder: [],
+  listTagAnnouncement: "",
   listCapPerArtist: false,
+  listMyStars: false,
+  listGenreId: null,
+  listSort: DEFAULT_LIST_SORT,
+  shuffleSeed: Catalog.createSeed(),
+  randomSequence: null,
 
   listCache: {
     key: "",
-    shuffled: [],
+    params: "",
+    seed: 0,
+    status: "idle",
+    loading: false,
+    total: 0,
+    items: [],
   },
   listObserver: null,
+  facets: {
+    key: "",
+    status: "idle",
+    total: 0,
+    tagCounts: new Map(),
+    licenseCounts: new Map(),
+  },
+  listRelated: {
+    key: "",
+    status: "idle",
+    items: [],
+  },
+  relatedTagsById: new Map(),
+  relatedTagsPending: new Set(),
+  relatedStripObserver: null,
+  relatedStripCards: new WeakSet(),
+  listWindow: { start: 0, end: 0 },
+  listCardHeights: new Map(),
+  listHeightsVersion: 0,
+  listOffsets: { items: null, count: 0, heightsVersion: -1, offsets: [0] },
+  listWindowFrame: null,
+  scrollPositions: new Map(),
+  scrollRestore: null,
+  nextScrollEntryId: 0,
+
+  artistView: {
+    key: "",
+    status: "idle",
+    data: null,
+    visibleCount: LIST_PAGE_SIZE,
+  },
+  albumView: {
+    key: "",
+    status: "idle",
+    item: null,
+  },
+  copiedKey: "",
+  copiedTimer: null,
+
+  crates: [],
+  stars: new Set(),
+  history: [],
+  sessionPlayedIds: new Set(),
+  queue: [],
+  queueIndex: -1,
+  queueSource: null,
+  starsCatalog: null,
+  queueOpen: false,
+  bannedArtists: new Set(),
+  radio: {
+    active: false,
+    loading: false,
+    params: "",
+    label: "",
+    intervalMinutes: DEFAULT_RADIO_INTERVAL,
+    timer: null,
+    artistPlays: new Map(),
+    message: "",
+  },
+  cratePickerUrlId: null,
+  crateNotice: null,
+
+  artistSearch: "",
+  debouncedArtistSearch: "",
+  artistSearchTimer: null,
+  artistDirectory: {
+    key: "",
+    status: "idle",
+    loading: false,
+    total: 0,
+    letterCounts: {},
+    items: [],
+  },
+  graph: {
+    status: "idle",
+    nodes: [],
+    edges: [],
+    view: getDefaultGraphView(),
+    search: "",
+    focusId: null,
+  },
+  graphPan: null,
+
   hasRenderedShell: false,
 };
 
@@ -138,11 +344,34 @@ function init() {
   appEl.addEventListener("click", handleAppClick);
   appEl.addEventListener("submit", handleAppSubmit);
   appEl.addEventListener("input", handleAppInput);
+  appEl.addEventListener("keydown", handleAppKeydown);
+  appEl.addEventListener("change", handleAppChange);
+  playerHostEl?.addEventListener("click", handleAppClick);
+  playerHostEl?.addEventListener("input", handleAppInput);
   document.addEventListener("click", handleDocumentClick);
   window.addEventListener("hashchange", onRouteChange);
-
+  window.addEventListener("scroll", scheduleListWindowUpdate, { passive: true });
+  window.addEventListener("scroll", rememberScrollPosition, { passive: true });
+  window.addEventListener("resize", scheduleListWindowUpdate);
+  appEl.addEventListener("wheel", handleGraphWheel, { passive: false });
+  if ("scrollRestoration" in window.history) {
+    window.history.scrollRestoration = "manual";
+  }
+  appEl.addEventListener("pointerdown", handleGraphPointerDown);
+  window.addEventListener("pointermove", handleGraphPointerMove);
+  window.addEventListener("pointerup", handleGraphPointerUp);
+
+  state.crates = loadCrates();
+  state.stars = loadStars();
+  state.history = loadHistory();
+  state.bannedArtists = loadBannedArtists();
+  state.sessionPlayedIds = loadSessionPlayedIds();
+  if (state.history.length > 0) {
+    state.playerData = getPlayerData(state.history[0]);
+  }
   onRouteChange();
   loadTags();
+  loadGenres();
   loadLicenseCounts();
   loadUrls();
 }
@@ -156,22 +385,173 @@ function onRouteChange() {
       state.listLicenseSelection = explicitSelection;
     }
 
-    const tagParam = parseMaybeNumber(state.route.query.get("tag"));
-    if (tagParam != null && !state.listSelectedTagIds.includes(tagParam)) {
-      state.listSelectedTagIds = [tagParam];
-    }
+    applyListFiltersFromQuery(state.route.query);
+    syncListRoute();
   }
 
+  // Back and forward land on an entry that was already visited; return to
+  // where it was left instead of the top.
+  state.scrollRestore = state.scrollPositions.get(getScrollEntryId()) || null;
   resetListPagination();
-  state.listTextSearch = "";
-  state.debouncedListTextSearch = "";
+  state.cratePickerUrlId = null;
+  state.crateNotice = null;
   state.listTagSearchInput = "";
-  state.listTagSuggestions = [];
-  state.listTagSuggestionsVisible = false;
-  window.scrollTo(0, 0);
+  closeListTagSuggestions();
+  if (!state.scrollRestore) {
+    window.scrollTo(0, 0);
+  }
   render();
 }
 
+function getScrollEntryId() {
+  const entryId = window.history.state?.scrollEntryId;
+  if (entryId) return entryId;
+
+  state.nextScrollEntryId += 1;
+  const nextId = `${Date.now().toString(36)}-${state.nextScrollEntryId}`;
+  window.history.replaceState(
+    { ...window.history.state, scrollEntryId: nextId },
+    ""
+  );
+  return nextId;
+}
+
+function rememberScrollPosition() {
+  // Ignore the scroll events a shorter page causes before the restore lands.
+  if (state.scrollRestore) return;
+
+  state.scrollPositions.set(getScrollEntryId(), {
+    y: window.scrollY,
+    visibleCount: state.listVisibleCount,
+  });
+}
+
+// A restored Results list first has to page back in the cards it showed.
+function applyScrollRestore() {
+  const restore = state.scrollRestore;
+  if (!restore) return;
+
+  if (state.route.path === "/list" && state.loadingUrls !== "error") {
+    const { status, loading, items, total } = state.listCache;
+    if (status !== "loaded" && status !== "error") return;
+    if (
+      status === "loaded" &&
+      (loading || items.length < Math.min(restore.visibleCount, total))
+    ) {
+      return;
+    }
+  }
+
+  state.scrollRestore = null;
+  window.scrollTo(0, restore.y);
+}
+
+function applyListFiltersFromQuery(query) {
+  const selectedTagIds = parseTagIdListParam(query, ["tag", "tags"]);
+  const anyTagIds = parseTagIdListParam(query, ["any"]).filter(
+    (tagId) => !selectedTagIds.includes(tagId)
+  );
+  const excludedTagIds = parseTagIdListParam(query, ["not"]).filter(
+    (tagId) => !selectedTagIds.includes(tagId) && !anyTagIds.includes(tagId)
+  );
+
+  state.listSelectedTagIds = selectedTagIds;
+  state.listAnyTagIds = anyTagIds;
+  state.listExcludedTagIds = excludedTagIds;
+  state.listTagAddOrder = [...selectedTagIds, ...anyTagIds, ...excludedTagIds];
+
+  if (state.listTextSearchTimer) {
+    clearTimeout(state.listTextSearchTimer);
+    state.listTextSearchTimer = null;
+  }
+  state.listTextSearch = query.get("q") || "";
+  state.debouncedListTextSearch = state.listTextSearch.trim();
+  state.listCapPerArtist = query.has("cap");
+  state.listMyStars = query.has("stars");
+  state.listGenreId = query.get("genre") || null;
+
+  const sort = query.get("sort");
+  state.listSort = LIST_SORT_OPTIONS.some((option) => option.value === sort)
+    ? sort
+    : DEFAULT_LIST_SORT;
+
+  const seed = parseMaybeNumber(query.get("seed"));
+  if (seed != null && Number.isInteger(seed) && seed >= 0) {
+    state.shuffleSeed = seed >>> 0;
+  }
+}
+
+function buildListQuery() {
+  const query = new URLSearchParams(state.route.query);
+  for (const key of LIST_ROUTE_FILTER_KEYS) {
+    query.delete(key);
+  }
+
+  const licenseSelection =
+    getLicenseSelectionFromQuery(state.route.query) ||
+    state.listLicenseSelection;
+  if (licenseSelection && licenseSelection !== ALL_LICENSE_SELECTION) {
+    query.set("lic", licenseSelection);
+  }
+
+  for (const option of LIST_TAG_MODES) {
+    if (state[option.stateKey].length > 0) {
+      query.set(option.param, state[option.stateKey].join(","));
+    }
+  }
+
+  if (state.debouncedListTextSearch) {
+    query.set("q", state.debouncedListTextSearch);
+  }
+
+  if (state.listCapPerArtist) {
+    query.set("cap", String(URL_CAP));
+  }
+
+  if (state.listMyStars) {
+    query.set("stars", "true");
+  }
+
+  if (state.listGenreId) {
+    query.set("genre", state.listGenreId);
+  }
+
+  if (state.listSort !== DEFAULT_LIST_SORT) {
+    query.set("sort", state.listSort);
+  }
+
+  query.set("seed", String(state.shuffleSeed));
+  return query;
+}
+
+function syncListRoute({ push = false } = {}) {
+  if (state.route.path !== "/list") return;
+
+  const href = buildRoute("/list", buildListQuery());
+  if (window.location.hash === href) return;
+
+  if (push) {
+    window.history.pushState(null, "", href);
+  } else {
+    window.history.replaceState(window.history.state, "", href);
+  }
+  state.route = parseRoute();
+}
+
+function parseTagIdListParam(query, keys) {
+  const ids = [];
+  for (const key of keys) {
+    for (const part of String(query.get(key) || "").split(",")) {
+      const parsed = parseMaybeNumber(part.trim() || null);
+      const id = parsed == null ? null : resolveTagAlias(parsed);
+      if (id != null && !ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+  }
+  return ids;
+}
+
 function parseRoute() {
   const hash = window.location.hash || "#/";
   const raw = hash.startsWith("#") ? hash.slice(1) : hash;
@@ -182,16 +562,36 @@ function parseRoute() {
     path = `/${path}`;
   }
 
+  const query = new URLSearchParams(queryPart);
+  for (const route of PARAM_ROUTES) {
+    const prefix = `${route.path}/`;
+    const value = path.startsWith(prefix)
+      ? decodeRouteSegment(path.slice(prefix.length))
+      : "";
+    if (value) {
+      return { path: route.path, params: { [route.param]: value }, query };
+    }
+  }
+
   if (!ROUTES.has(path)) {
     path = "/";
   }
 
   return {
     path,
-    query: new URLSearchParams(queryPart),
+    params: {},
+    query,
   };
 }
 
+function decodeRouteSegment(segment) {
+  try {
+    return decodeURIComponent(segment).trim();
+  } catch {
+    return "";
+  }
+}
+
 async function loadTags() {
   if (state.loadingTags !== "not-started") return;
 
@@ -199,19 +599,32 @@ async function loadTags() {
   render();
 
   try {
-    const tagData = await fetchDataJson("tags.json");
-    state.tags = Array.isArray(tagData)
-      ? [...tagData].sort((a, b) => b.count - a.count)
-      : [];
+    const [tagData, aliasData] = await Promise.all([
+      fetchDataJson("tags.json"),
+      fetchDataJson("tag-aliases.json").catch(() => null),
+    ]);
+    const tags = Array.isArray(tagData) ? tagData : [];
 
     state.tagById.clear();
     state.tagByName.clear();
-    for (const tag of state.tags) {
+    for (const tag of tags) {
       state.tagById.set(tag.tag_id, tag);
       state.tagByName.set(String(tag.name || "").toLowerCase(), tag);
     }
 
+    applyTagAliases(aliasData);
+    state.tags = tags
+      .filter((tag) => !state.tagAliases.has(tag.tag_id))
+      .sort((a, b) => b.count - a.count);
+    applyMergedTagCounts();
+
     state.loadingTags = "loaded";
+
+    // Links opened before the aliases arrived may still name a variant tag.
+    if (state.route.path === "/list" && state.tagAliases.size > 0) {
+      applyListFiltersFromQuery(state.route.query);
+      syncListRoute();
+    }
   } catch (error) {
     console.error("Failed to load tags", error);
     state.loadingTags = "error";
@@ -220,6 +633,113 @@ async function loadTags() {
   render();
 }
 
+// public/tag-aliases.json maps each variant tag onto its canonical tag, and the
+// catalog indexes variant rows under the canonical tag whether or not urls.json
+// has been synced since. Variants leave the tag list; their names stay
+// searchable on the canonical tag and their ids keep resolving for old links
+// and imported crates.
+function applyTagAliases(aliasData) {
+  state.tagAliases.clear();
+
+  const aliases =
+    aliasData && typeof aliasData.aliases === "object" ? aliasData.aliases : {};
+  for (const [variantValue, canonicalValue] of Object.entries(aliases)) {
+    const variant = state.tagById.get(Number(variantValue));
+    const canonical = state.tagById.get(Number(canonicalValue));
+    if (!variant || !canonical || variant === canonical) continue;
+
+    state.tagAliases.set(variant.tag_id, canonical.tag_id);
+    canonical.aliases = [...(canonical.aliases || []), variant.name];
+  }
+
+  for (const [variantId, canonicalId] of state.tagAliases) {
+    const variant = state.tagById.get(variantId);
+    const canonical = state.tagById.get(canonicalId);
+    state.tagById.set(variantId, canonical);
+    state.tagByName.set(String(variant.name || "").toLowerCase(), canonical);
+  }
+}
+
+// The catalog indexes variant rows under their canonical tag, so its count for
+// a canonical tag covers every album tagged with it or one of its variants,
+// without counting albums that had both twice.
+function applyMergedTagCounts() {
+  if (!state.catalogTagCounts) return;
+
+  for (const tag of state.tags) {
+    if (!tag.aliases) continue;
+    tag.count = state.catalogTagCounts.get(tag.tag_id) || 0;
+  }
+  state.tags.sort((a, b) => b.count - a.count);
+}
+
+function resolveTagAlias(tagId) {
+  return state.tagAliases.get(tagId) ?? tagId;
+}
+
+function tagMatchesSearch(tag, query) {
+  if (String(tag.name || "").toLowerCase().includes(query)) return true;
+  return (tag.aliases || []).some((alias) =>
+    String(alias).toLowerCase().includes(query)
+  );
+}
+
+async function loadGenres() {
+  if (state.loadingGenres !== "not-started") return;
+
+  state.loadingGenres = "loading";
+
+  try {
+    const genreData = await fetchDataJson("genre-tree.json", "config");
+    state.genres = normalizeGenres(genreData?.genres);
+
+    state.genreById.clear();
+    const indexGenres = (genres) => {
+      for (const genre of genres) {
+        state.genreById.set(genre.id, genre);
+        indexGenres(genre.children);
+      }
+    };
+    indexGenres(state.genres);
+
+    state.loadingGenres = "loaded";
+  } catch (error) {
+    console.warn("Failed to load genre tree", error);
+    state.loadingGenres = "error";
+  }
+
+  render();
+}
+
+function normalizeGenres(genres) {
+  if (!Array.isArray(genres)) return [];
+
+  return genres
+    .filter((genre) => genre && typeof genre.id === "string" && genre.id)
+    .map((genre) => {
+      const normalized = {
+        id: genre.id,
+        name: String(genre.name || genre.id),
+        tags: Array.isArray(genre.tags)
+          ? genre.tags.map(Number).filter(Number.isInteger)
+          : [],
+      };
+      normalized.children = normalizeGenres(genre.children);
+      return normalized;
+    });
+}
+
+// A genre matches its own tags and every tag of the genres below it.
+function getGenreTagIds(genre) {
+  const tagIds = new Set(genre.tags.map(resolveTagAlias));
+  for (const child of genre.children) {
+    for (const tagId of getGenreTagIds(child)) {
+      tagIds.add(tagId);
+    }
+  }
+  return Array.from(tagIds);
+}
+
 async function loadUrls() {
   if (state.loadingUrls !== "not-started") return;
 
@@ -227,19 +747,30 @@ async function loadUrls() {
   render();
 
   try {
-    const urlData = await fetchDataJson("urls.json");
-    state.urls = Array.isArray(urlData) ? urlData : [];
-
-    state.urlById.clear();
-    state.urlLicenseCountsById.clear();
-    for (const listing of state.urls) {
-      state.urlById.set(listing.url_id, listing);
+    if (await connectCatalogApi()) {
+      state.catalogSource = "api";
+    } else if (await connectCatalogWorker()) {
+      state.catalogSource = "worker";
+    } else {
+      const [urlData, tagData, aliasData] = await Promise.all([
+        fetchDataJson("urls.json"),
+        fetchDataJson("tags.json"),
+        fetchDataJson("tag-aliases.json").catch(() => null),
+      ]);
+      state.urls = Array.isArray(urlData) ? urlData : [];
+      state.catalog = Catalog.createCatalog(
+        state.urls,
+        tagData,
+        aliasData?.aliases
+      );
+      applyCatalogStats(Catalog.runQuery(state.catalog, "stats"));
 
-      const licenseId = Number(listing.license);
-      if (Number.isFinite(licenseId)) {
-        const nextCount = (state.urlLicenseCountsById.get(licenseId) || 0) + 1;
-        state.urlLicenseCountsById.set(licenseId, nextCount);
+      state.urlById.clear();
+      for (const listing of state.urls) {
+        state.urlById.set(listing.url_id, listing);
       }
+
+      state.catalogSource = "static";
     }
 
     state.loadingUrls = "loaded";
@@ -251,6 +782,208 @@ async function loadUrls() {
   render();
 }
 
+async function connectCatalogApi() {
+  let stats;
+  try {
+    stats = await fetchCatalogApi("stats");
+  } catch {
+    return false;
+  }
+
+  if (!stats || !Number.isFinite(stats.total)) return false;
+
+  applyCatalogStats(stats);
+  return true;
+}
+
+function getCatalogWorkerUrl() {
+  const separator = CATALOG_WORKER_PATH.includes("?") ? "&" : "?";
+  return `${CATALOG_WORKER_PATH}${separator}catalog=${encodeURIComponent(
+    CATALOG_SCRIPT_PATH
+  )}`;
+}
+
+async function connectCatalogWorker() {
+  if (typeof window.Worker !== "function") return false;
+
+  let stats;
+  try {
+    state.catalogWorker = {
+      worker: new Worker(getCatalogWorkerUrl()),
+      nextRequestId: 1,
+      pending: new Map(),
+    };
+    state.catalogWorker.worker.addEventListener(
+      "message",
+      handleCatalogWorkerMessage
+    );
+    state.catalogWorker.worker.addEventListener(
+      "error",
+      handleCatalogWorkerError
+    );
+
+    stats = await callCatalogWorker("load", {
+      urlPaths: getAbsoluteDataPaths("urls.json"),
+      tagPaths: getAbsoluteDataPaths("tags.json"),
+      aliasPaths: getAbsoluteDataPaths("tag-aliases.json"),
+    });
+  } catch (error) {
+    console.warn("Catalog worker unavailable, filtering on the main thread", error);
+    stopCatalogWorker();
+    return false;
+  }
+
+  applyCatalogStats(stats);
+  return true;
+}
+
+function callCatalogWorker(type, payload) {
+  const catalogWorker = state.catalogWorker;
+  if (!catalogWorker) {
+    return Promise.reject(new Error("Catalog worker is not running"));
+  }
+
+  const id = catalogWorker.nextRequestId++;
+  return new Promise((resolve, reject) => {
+    catalogWorker.pending.set(id, { resolve, reject });
+    catalogWorker.worker.postMessage({ id, type, payload });
+  });
+}
+
+function handleCatalogWorkerMessage(event) {
+  const { id, result, error } = event.data || {};
+  const request = state.catalogWorker?.pending.get(id);
+  if (!request) return;
+
+  state.catalogWorker.pending.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
+  }
+}
+
+function handleCatalogWorkerError(event) {
+  event.preventDefault?.();
+  const error = new Error(event.message || "Catalog worker failed");
+  for (const request of state.catalogWorker?.pending.values() || []) {
+    request.reject(error);
+  }
+  state.catalogWorker?.pending.clear();
+}
+
+function stopCatalogWorker() {
+  state.catalogWorker?.worker.terminate();
+  state.catalogWorker = null;
+}
+
+function applyCatalogStats(stats) {
+  state.catalogTotal = stats.total;
+  state.urlLicenseCountsById.clear();
+  for (const [bcIdValue, countValue] of Object.entries(
+    stats.license_counts || {}
+  )) {
+    const bcId = Number(bcIdValue);
+    const count = Number(countValue);
+    if (!Number.isFinite(bcId) || !Number.isFinite(count)) continue;
+    state.urlLicenseCountsById.set(bcId, count);
+  }
+
+  state.catalogTagCounts = new Map(
+    Object.entries(stats.tag_counts || {}).map(([tagId, count]) => [
+      Number(tagId),
+      Number(count),
+    ])
+  );
+  applyMergedTagCounts();
+}
+
+async function fetchCatalogApi(queryName, params) {
+  const queryString = params ? new URLSearchParams(params).toString() : "";
+  const response = await fetch(
+    `${CATALOG_API_PATH}${queryName}${queryString ? `?${queryString}` : ""}`,
+    { cache: "no-store" }
+  );
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!response.ok || !contentType.includes("application/json")) {
+    throw new Error(`Catalog API ${queryName} failed (${response.status})`);
+  }
+
+  return await response.json();
+}
+
+function requestCatalog(queryName, params) {
+  if (state.catalogSource === "api") {
+    // Stars can outgrow a query string, so My stars queries run against a
+    // local catalog of just the starred albums instead of the API.
+    const searchParams = new URLSearchParams(params);
+    if (searchParams.has("ids")) {
+      return getStarsCatalog(searchParams.get("ids")).then((catalog) =>
+        Catalog.runQuery(catalog, queryName, searchParams)
+      );
+    }
+    return fetchCatalogApi(queryName, params);
+  }
+
+  if (state.catalogSource === "worker") {
+    return callCatalogWorker("query", {
+      name: queryName,
+      params: new URLSearchParams(params).toString(),
+    });
+  }
+
+  return Promise.resolve().then(() =>
+    Catalog.runQuery(state.catalog, queryName, params)
+  );
+}
+
+function getStarsCatalog(idsParam) {
+  const key = `${idsParam}|${state.loadingTags}`;
+  if (state.starsCatalog?.key === key) return state.starsCatalog.promise;
+
+  const urlIds = idsParam.split(",").map(Number).filter(Number.isInteger);
+  const promise = loadListingsByUrlId(urlIds).then((listings) =>
+    Catalog.createCatalog(
+      listings,
+      Array.from(state.tagById.values()),
+      Object.fromEntries(state.tagAliases)
+    )
+  );
+  state.starsCatalog = { key, promise };
+  promise.catch(() => {
+    if (state.starsCatalog?.promise === promise) state.starsCatalog = null;
+  });
+  return promise;
+}
+
+// Fetches the listings not seen yet in small id batches. url_id order stands
+// in for dataset order, which the per-artist cap follows.
+async function loadListingsByUrlId(urlIds) {
+  const missing = urlIds.filter((urlId) => !state.urlById.has(urlId));
+  for (let i = 0; i < missing.length; i += STARS_FETCH_CHUNK_SIZE) {
+    const chunk = missing.slice(i, i + STARS_FETCH_CHUNK_SIZE);
+    const result = await fetchCatalogApi("albums", {
+      ids: chunk.join(","),
+      limit: String(chunk.length),
+    });
+    rememberListings(Array.isArray(result?.items) ? result.items : []);
+  }
+
+  return urlIds
+    .map((urlId) => state.urlById.get(urlId))
+    .filter(Boolean)
+    .sort((a, b) => a.url_id - b.url_id);
+}
+
+function rememberListings(listings) {
+  for (const listing of listings) {
+    if (listing?.url_id != null) {
+      state.urlById.set(listing.url_id, listing);
+    }
+  }
+}
+
 async function loadLicenseCounts() {
   if (state.loadingLicenseCounts !== "not-started") return;
 
@@ -284,8 +1017,8 @@ async function loadLicenseCounts() {
   render();
 }
 
-async function fetchDataJson(fileName) {
-  const paths = getDataPaths(fileName);
+async function fetchDataJson(fileName, dir) {
+  const paths = getDataPaths(fileName, dir);
 
   for (const path of paths) {
     try {
@@ -300,7 +1033,7 @@ async function fetchDataJson(fileName) {
   throw new Error(`Could not load ${fileName}`);
 }
 
-function getDataPaths(fileName) {
+function getDataPaths(fileName, dir = "public") {
   const pathname = window.location.pathname || "/";
   const baseDir = pathname.endsWith("/")
     ? pathname
@@ -310,20 +1043,25 @@ function getDataPaths(fileName) {
 
   return Array.from(
     new Set([
-      `./public/${fileName}`,
-      `public/${fileName}`,
-      `${baseDir}public/${fileName}`,
-      `${repoBase}public/${fileName}`,
-      `/public/${fileName}`,
+      `./${dir}/${fileName}`,
+      `${dir}/${fileName}`,
+      `${baseDir}${dir}/${fileName}`,
+      `${repoBase}${dir}/${fileName}`,
+      `/${dir}/${fileName}`,
       `./${fileName}`,
       fileName,
     ])
   );
 }
 
+function getAbsoluteDataPaths(fileName) {
+  return getDataPaths(fileName).map((path) => {
+    return new URL(path, document.baseURI).href;
+  });
+}
+
 function render() {
   if (!appEl) return;
-  const focusSnapshot = captureFocusedInputState();
   teardownListObserver();
 
   const heroClass = state.hasRenderedShell ? "hero" : "hero animate-enter";
@@ -332,18 +1070,29 @@ function render() {
     : "panel animate-enter animate-enter--delay";
 
   const queryFilters = getQueryFilters(state.route.query);
-  const queryFilteredUrls =
-    state.loadingUrls === "loaded"
-      ? filterUrlsByQuery(state.urls, queryFilters)
-      : [];
+  ensureFacets(queryFilters);
+  if (state.route.path === "/list") {
+    ensureListResults(queryFilters);
+    ensureListRelatedTags(queryFilters);
+  } else if (state.route.path === "/album") {
+    ensureAlbumView();
+  } else if (state.route.path === "/artist") {
+    ensureArtistView();
+  } else if (state.route.path === "/artists") {
+    ensureArtistDirectory();
+  } else if (state.route.path === "/graph") {
+    ensureTagGraph();
+  }
 
-  const randomLabel = getRandomButtonLabel(queryFilters, queryFilteredUrls);
-  const randomDisabled =
-    state.loadingUrls !== "loaded" || collapseUrls(queryFilteredUrls).length === 0;
+  const matchCount = getRandomPoolCount();
+  const randomLabel = getRandomButtonLabel(queryFilters, matchCount);
+  const randomDisabled = state.loadingUrls !== "loaded" || matchCount === 0;
 
-  const listHref = buildRoute("/list", state.route.query);
+  const listHref = buildRoute("/list", buildListQuery());
 
-  appEl.innerHTML = `
+  patchHtml(
+    appEl,
+    `
     <div class="app-shell">
       <main class="layout">
         <header class="${heroClass}">
@@ -354,7 +1103,7 @@ function render() {
             Based on the <a href="https://github.com/handeyeco/cc-bc" target="_blank" rel="noreferrer">original dataset project</a>
           </p>
           <p class="hero__meta">
-            ${state.loadingUrls === "loaded" ? `${formatCount(state.urls.length)} albums` : "Loading albums"}
+            ${state.loadingUrls === "loaded" ? `${formatCount(state.catalogTotal)} albums` : "Loading albums"}
             •
             ${state.loadingTags === "loaded" ? `${formatCount(state.tags.length)} tags` : "Loading tags"}
           </p>
@@ -366,6 +1115,19 @@ function render() {
             <a href="${listHref}" class="hero__nav-link ${
               state.route.path === "/list" ? "is-active" : ""
             }">${BRAND.navResults}</a>
+            <a href="#/artists" class="hero__nav-link ${
+              state.route.path === "/artists" || state.route.path === "/artist"
+                ? "is-active"
+                : ""
+            }">${BRAND.navArtists}</a>
+            <a href="#/graph" class="hero__nav-link ${
+              state.route.path === "/graph" ? "is-active" : ""
+            }">${BRAND.navGraph}</a>
+            <a href="#/crates" class="hero__nav-link ${
+              state.route.path === "/crates" ? "is-active" : ""
+            }">${BRAND.navCrates}${
+              state.crates.length > 0 ? ` (${formatCount(state.crates.length)})` : ""
+            }</a>
           </nav>
 
           <button
@@ -375,90 +1137,754 @@ function render() {
           >
             ${escapeHtml(randomLabel)}
           </button>
+          <button
+            class="hero__radio ${state.radio.active ? "is-active" : ""}"
+            data-action="${state.radio.active ? "stop-radio" : "start-radio"}"
+            ${randomDisabled && !state.radio.active ? "disabled" : ""}
+          >
+            ${state.radio.active ? "Stop radio" : "Start radio with these filters"}
+          </button>
         </header>
 
         <section class="${panelClass}">
-          ${renderRouteContent(queryFilters, queryFilteredUrls)}
+          ${renderRouteContent(queryFilters)}
         </section>
 
         ${renderFooter()}
       </main>
-
-      ${renderPlayer()}
     </div>
-  `;
+  `
+  );
 
+  syncPlayer();
   state.hasRenderedShell = true;
-  restoreFocusedInputState(focusSnapshot);
+  measureListCards();
   syncListAutoLoad();
+  syncRelatedTagStrips();
+  applyScrollRestore();
 }
 
-function captureFocusedInputState() {
-  const activeElement = document.activeElement;
-  if (!(activeElement instanceof HTMLElement) || !appEl?.contains(activeElement)) {
-    return null;
+function patchHtml(parent, html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  patchChildren(parent, template.content);
+}
+
+function patchChildren(currentParent, nextParent) {
+  const nextNodes = Array.from(nextParent.childNodes);
+  const nextKeys = new Set(nextNodes.map(getNodeKey).filter(Boolean));
+  const keyedNodes = new Map();
+  for (const node of currentParent.childNodes) {
+    const key = getNodeKey(node);
+    if (key && nextKeys.has(key)) keyedNodes.set(key, node);
   }
 
-  const isRestorableField =
-    activeElement instanceof HTMLInputElement ||
-    activeElement instanceof HTMLTextAreaElement ||
-    activeElement instanceof HTMLSelectElement;
+  let cursor = currentParent.firstChild;
 
-  if (!isRestorableField || !activeElement.id) return null;
+  for (const nextNode of nextNodes) {
+    // Drop keyed nodes that are gone so they do not block positional matches.
+    while (cursor && getNodeKey(cursor) && !keyedNodes.has(getNodeKey(cursor))) {
+      const staleNode = cursor;
+      cursor = cursor.nextSibling;
+      staleNode.remove();
+    }
 
-  const snapshot = { id: activeElement.id };
-  if (
-    activeElement instanceof HTMLInputElement ||
-    activeElement instanceof HTMLTextAreaElement
-  ) {
-    snapshot.selectionStart = activeElement.selectionStart;
-    snapshot.selectionEnd = activeElement.selectionEnd;
+    const key = getNodeKey(nextNode);
+    let match = null;
+    if (key) {
+      match = keyedNodes.get(key) || null;
+      keyedNodes.delete(key);
+    } else if (cursor && !getNodeKey(cursor) && isSameNodeKind(cursor, nextNode)) {
+      match = cursor;
+    }
+
+    if (!match) {
+      currentParent.insertBefore(nextNode, cursor);
+      continue;
+    }
+
+    if (match === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      currentParent.insertBefore(match, cursor);
+    }
+    patchNode(match, nextNode);
   }
 
-  return snapshot;
+  while (cursor) {
+    const staleNode = cursor;
+    cursor = cursor.nextSibling;
+    staleNode.remove();
+  }
 }
 
-function restoreFocusedInputState(snapshot) {
-  if (!snapshot?.id) return;
+function patchNode(currentNode, nextNode) {
+  if (currentNode.nodeType !== Node.ELEMENT_NODE) {
+    if (currentNode.nodeValue !== nextNode.nodeValue) {
+      currentNode.nodeValue = nextNode.nodeValue;
+    }
+    return;
+  }
 
-  const nextElement = document.getElementById(snapshot.id);
-  const isRestorableField =
-    nextElement instanceof HTMLInputElement ||
-    nextElement instanceof HTMLTextAreaElement ||
-    nextElement instanceof HTMLSelectElement;
+  patchAttributes(currentNode, nextNode);
+  patchChildren(currentNode, nextNode);
+}
 
-  if (!isRestorableField || nextElement.disabled) return;
+function patchAttributes(currentEl, nextEl) {
+  for (const { name } of Array.from(currentEl.attributes)) {
+    if (!nextEl.hasAttribute(name)) currentEl.removeAttribute(name);
+  }
+
+  for (const { name, value } of Array.from(nextEl.attributes)) {
+    if (currentEl.getAttribute(name) === value) continue;
+    currentEl.setAttribute(name, value);
 
-  nextElement.focus();
+    // Only push state into live properties when the rendered value changed,
+    // so typing and caret position survive unrelated re-renders.
+    if (name === "value" && "value" in currentEl && currentEl.value !== value) {
+      currentEl.value = value;
+    }
+  }
 
   if (
-    typeof snapshot.selectionStart !== "number" ||
-    typeof snapshot.selectionEnd !== "number" ||
-    !(
-      nextElement instanceof HTMLInputElement ||
-      nextElement instanceof HTMLTextAreaElement
-    )
+    currentEl instanceof HTMLInputElement &&
+    (currentEl.type === "checkbox" || currentEl.type === "radio")
   ) {
-    return;
+    currentEl.checked = nextEl.hasAttribute("checked");
   }
 
-  const max = nextElement.value.length;
-  const start = Math.min(snapshot.selectionStart, max);
-  const end = Math.min(snapshot.selectionEnd, max);
-
-  try {
-    nextElement.setSelectionRange(start, end);
-  } catch {
-    // Some input types do not support selection ranges.
+  // Once the listener has picked an option, a `selected` attribute alone no
+  // longer moves the select, e.g. when back/forward changes the sort.
+  if (currentEl instanceof HTMLOptionElement) {
+    currentEl.selected = nextEl.hasAttribute("selected");
   }
 }
 
-function renderRouteContent(queryFilters, queryFilteredUrls) {
+function getNodeKey(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute("data-key") : null;
+}
+
+function isSameNodeKind(currentNode, nextNode) {
+  if (currentNode.nodeType !== nextNode.nodeType) return false;
+  if (currentNode.nodeType !== Node.ELEMENT_NODE) return true;
+
+  return (
+    currentNode.tagName === nextNode.tagName &&
+    (currentNode.id || "") === (nextNode.id || "")
+  );
+}
+
+function renderRouteContent(queryFilters) {
   if (state.route.path === "/") {
-    return renderTagExplorer();
+    return renderTagExplorer(queryFilters);
+  }
+
+  if (state.route.path === "/album") {
+    return renderAlbumPage();
+  }
+
+  if (state.route.path === "/artist") {
+    return renderArtistPage(queryFilters);
+  }
+
+  if (state.route.path === "/artists") {
+    return renderArtistDirectory();
+  }
+
+  if (state.route.path === "/crates") {
+    return renderCrates();
+  }
+
+  if (state.route.path === "/graph") {
+    return renderTagGraph();
+  }
+
+  return renderAlbumList(queryFilters);
+}
+
+function renderAlbumPage() {
+  const albumView = state.albumView;
+  const backLink = `<a href="${buildRoute(
+    "/list",
+    buildListQuery()
+  )}" class="inline-link">← Back to results</a>`;
+
+  if (albumView.status === "error") {
+    return `${backLink}<p class="status status--error">Album failed to load.</p>`;
+  }
+
+  if (albumView.status !== "loaded" || state.loadingTags !== "loaded") {
+    return `${backLink}<p class="status status--loading">Loading album...</p>`;
+  }
+
+  const listing = albumView.item;
+  if (!listing) {
+    return `${backLink}<p class="status status--empty">Album not found.</p>`;
+  }
+
+  const artistSubdomain = Catalog.getArtistSubdomain(listing.url);
+  const license = licenseById.get(listing.license);
+  const licenseCode = license ? normalizeLicenseCode(license.name) : null;
+  const permalink = getAlbumPermalink(listing.url_id);
+
+  const tagBadges = (listing.tags || [])
+    .map((tagId) => {
+      const tagName = state.tagById.get(tagId)?.name || `tag:${tagId}`;
+      return `
+        <a href="${buildRoute("/list", { tag: tagId })}" class="badge badge--tag">
+          ${escapeHtml(tagName)}
+        </a>
+      `;
+    })
+    .join("");
+
+  const licenseDetails = license
+    ? `
+      <div class="info-card info-card--license">
+        <h3>
+          License:
+          <a class="badge badge--license" href="${buildRoute("/list", {
+            lic: licenseCode,
+          })}">${escapeHtml(license.name)}</a>
+        </h3>
+        <ul class="license-points">
+          ${getLicenseDetails(license.bc_id)
+            .map((detail) => `<li>${escapeHtml(detail)}</li>`)
+            .join("")}
+        </ul>
+        <p>
+          <a class="inline-link" href="${escapeHtml(
+            license.url
+          )}" target="_blank" rel="noreferrer">Read full license</a>
+        </p>
+      </div>
+    `
+    : `<p class="status status--empty">Unknown license (${escapeHtml(
+        listing.license
+      )}).</p>`;
+
+  return `
+    ${backLink}
+
+    <div class="section-head album-detail__head" style="margin-top: 12px;">
+      <h2>${listing.favorite ? `<span class="album-star">★</span> ` : ""}${escapeHtml(
+        listing.title
+      )}</h2>
+      ${
+        artistSubdomain
+          ? `<p>by <a class="inline-link" href="${buildArtistRoute(
+              artistSubdomain
+            )}">${escapeHtml(artistSubdomain)}</a></p>`
+          : ""
+      }
+    </div>
+
+    <div class="album-detail">
+      <div class="album-detail__player" data-key="album-player-${escapeHtml(
+        listing.bc_id
+      )}">
+        <iframe
+          title="Bandcamp player for ${escapeHtml(listing.title)}"
+          src="https://bandcamp.com/EmbeddedPlayer/album=${escapeHtml(
+            listing.bc_id
+          )}/size=large/bgcol=ffffff/linkcol=0f7d9b/tracklist=true/transparent=true/"
+          seamless
+        >
+          <a href="${escapeHtml(listing.url)}">${escapeHtml(listing.title)}</a>
+        </iframe>
+      </div>
+
+      <div class="album-detail__meta">
+        <h3>Tags</h3>
+        <div class="badge-row">${tagBadges || "<span>No tags</span>"}</div>
+
+        ${licenseDetails}
+
+        ${renderAttribution(listing)}
+
+        <div class="album-detail__actions">
+          <a
+            class="solid-button"
+            href="${escapeHtml(listing.url)}"
+            target="_blank"
+            rel="noreferrer"
+          >Open on Bandcamp</a>
+          <button
+            class="outline-button"
+            data-action="copy-text"
+            data-copy-key="permalink"
+            data-copy-text="${escapeHtml(permalink)}"
+          >${state.copiedKey === "permalink" ? "Copied!" : "Copy permalink"}</button>
+          <button
+            class="outline-button"
+            data-action="copy-text"
+            data-copy-key="bandcamp-url"
+            data-copy-text="${escapeHtml(listing.url)}"
+          >${state.copiedKey === "bandcamp-url" ? "Copied!" : "Copy Bandcamp link"}</button>
+        </div>
+        <p class="album-detail__permalink">${escapeHtml(permalink)}</p>
+      </div>
+    </div>
+  `;
+}
+
+function renderAttribution(listing) {
+  if (!getAttributionText(listing, "plain")) return "";
+
+  const warnings = getAttributionWarnings(listing)
+    .map((warning) => `<p class="attribution__warning">⚠ ${escapeHtml(warning)}</p>`)
+    .join("");
+
+  const formats = ATTRIBUTION_FORMATS.map(({ format, label }) => {
+    const text = getAttributionText(listing, format);
+    const copyKey = `credit-${format}-${listing.url_id}`;
+    return `
+      <div class="attribution__format">
+        <div class="attribution__format-head">
+          <span>${escapeHtml(label)}</span>
+          <button
+            class="card-action"
+            data-action="copy-text"
+            data-copy-key="${copyKey}"
+            data-copy-text="${escapeHtml(text)}"
+          >${state.copiedKey === copyKey ? "Copied!" : "Copy"}</button>
+        </div>
+        <pre class="attribution__text">${escapeHtml(text)}</pre>
+      </div>
+    `;
+  }).join("");
+
+  return `
+    <div class="info-card attribution">
+      <h3>Credit this album</h3>
+      <p>Title, author, source and license (TASL), ready to paste.</p>
+      ${warnings}
+      ${formats}
+    </div>
+  `;
+}
+
+function renderCrates() {
+  const notice = state.crateNotice
+    ? `<p class="status status--${
+        state.crateNotice.type === "error" ? "error" : "empty"
+      }">${escapeHtml(state.crateNotice.text)}</p>`
+    : "";
+
+  const crateCards = state.crates
+    .map((crate) => {
+      const exportButtons = CRATE_EXPORT_FORMATS.map(
+        ({ format, label }) => `
+          <button
+            class="card-action"
+            data-action="export-crate"
+            data-crate-id="${escapeHtml(crate.id)}"
+            data-format="${format}"
+            ${crate.items.length === 0 ? "disabled" : ""}
+          >${label}</button>
+        `
+      ).join("");
+
+      const itemRows = crate.items
+        .map((item) => {
+          const artist = Catalog.getArtistSubdomain(item.url);
+          const licenseName = getLicenseNameById(item.license);
+          const titleHref =
+            item.url_id != null ? buildAlbumRoute(item.url_id) : item.url;
+          return `
+            <li class="crate-item" data-key="crate-item-${escapeHtml(item.url)}">
+              <div class="crate-item__main">
+                <a
+                  class="crate-item__title"
+                  href="${escapeHtml(titleHref)}"
+                  ${item.url_id != null ? "" : `target="_blank" rel="noreferrer"`}
+                >${escapeHtml(item.title || item.url)}</a>
+                ${
+                  artist
+                    ? `<a class="crate-item__artist" href="${buildArtistRoute(
+                        artist
+                      )}">${escapeHtml(artist)}</a>`
+                    : ""
+                }
+              </div>
+              ${
+                licenseName
+                  ? `<span class="badge badge--license">${escapeHtml(licenseName)}</span>`
+                  : ""
+              }
+              <button
+                class="card-action"
+                data-action="remove-crate-item"
+                data-crate-id="${escapeHtml(crate.id)}"
+                data-url="${escapeHtml(item.url)}"
+                aria-label="Remove ${escapeHtml(item.title || item.url)}"
+              >Remove</button>
+            </li>
+          `;
+        })
+        .join("");
+
+      return `
+        <article class="crate" data-key="crate-${escapeHtml(crate.id)}">
+          <div class="crate__head">
+            <h3>${escapeHtml(crate.name)}</h3>
+            <small>${formatCount(crate.items.length)} ${
+              crate.items.length === 1 ? "album" : "albums"
+            }</small>
+          </div>
+          <div class="crate__actions">
+            <span>Export</span>
+            ${exportButtons}
+            <button
+              class="card-action"
+              data-action="rename-crate"
+              data-crate-id="${escapeHtml(crate.id)}"
+            >Rename</button>
+            <button
+              class="card-action card-action--danger"
+              data-action="delete-crate"
+              data-crate-id="${escapeHtml(crate.id)}"
+            >Delete</button>
+          </div>
+          ${
+            itemRows
+              ? `<ul class="crate__items">${itemRows}</ul>`
+              : `<p class="status status--empty">Empty. Use "Add to crate" on any album.</p>`
+          }
+        </article>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="section-head">
+      <h2>${BRAND.navCrates}</h2>
+      <p>Your own album lists, saved in this browser. Exports include license and attribution.</p>
+    </div>
+
+    <form class="crate-form crate-form--page">
+      <input
+        name="crate-name"
+        type="text"
+        maxlength="80"
+        placeholder="New crate name"
+        aria-label="New crate name"
+        required
+      />
+      <button class="card-action" type="submit">Create crate</button>
+    </form>
+
+    <label class="crate-import">
+      Import JSON, CSV or M3U
+      <input id="crate-import-input" type="file" accept=".json,.csv,.m3u,.m3u8" />
+    </label>
+
+    ${notice}
+
+    ${
+      crateCards ||
+      `<p class="status status--empty">No crates yet. Create one here or from any album card.</p>`
+    }
+  `;
+}
+
+function renderArtistPage(queryFilters) {
+  const subdomain = state.route.params.subdomain || "";
+  const artistView = state.artistView;
+  const backLink = `<a href="#/artists" class="inline-link">← All artists</a>`;
+
+  if (artistView.status === "error") {
+    return `${backLink}<p class="status status--error">Artist failed to load.</p>`;
+  }
+
+  if (artistView.status !== "loaded" || state.loadingTags !== "loaded") {
+    return `${backLink}<p class="status status--loading">Loading artist...</p>`;
+  }
+
+  const { data } = artistView;
+  if (data.total === 0) {
+    return `
+      ${backLink}
+      <p class="status status--empty">No albums found for "${escapeHtml(
+        subdomain
+      )}".</p>
+    `;
+  }
+
+  const licenseBadges = LICENSES.filter(
+    (license) => data.license_counts[String(license.bc_id)] > 0
+  )
+    .map((license) => {
+      const licenseCode = normalizeLicenseCode(license.name);
+      return `
+        <a
+          href="${buildRoute("/list", { lic: licenseCode })}"
+          class="badge badge--license"
+        >
+          ${escapeHtml(license.name)}
+          <span class="badge__count">${formatCount(
+            data.license_counts[String(license.bc_id)]
+          )}</span>
+        </a>
+      `;
+    })
+    .join("");
+
+  const tagBadges = data.top_tags
+    .map((entry) => {
+      const tagName = state.tagById.get(entry.tag_id)?.name || `tag:${entry.tag_id}`;
+      return `
+        <a href="${buildRoute("/list", { tag: entry.tag_id })}" class="badge badge--tag">
+          ${escapeHtml(tagName)}
+          <span class="badge__count">${formatCount(entry.count)}</span>
+        </a>
+      `;
+    })
+    .join("");
+
+  const displayedUrls = data.items.slice(0, artistView.visibleCount);
+  const crateCounts = getCrateCountsByUrl();
+  const showMoreButton =
+    displayedUrls.length < data.items.length
+      ? `<button class="ghost-button" data-action="show-more-artist-albums">Show ${formatCount(
+          Math.min(LIST_PAGE_SIZE, data.items.length - displayedUrls.length)
+        )} more</button>`
+      : "";
+
+  return `
+    ${backLink}
+
+    <div class="section-head" style="margin-top: 12px;">
+      <h2>${escapeHtml(data.artist)}</h2>
+      <p>
+        ${formatCount(data.total)} ${data.total === 1 ? "release" : "releases"} ·
+        <a
+          class="inline-link"
+          href="https://${escapeHtml(data.artist)}.bandcamp.com"
+          target="_blank"
+          rel="noreferrer"
+        >Open on Bandcamp</a>
+      </p>
+      ${
+        state.bannedArtists.has(data.artist)
+          ? `<p>
+              Banned from radio ·
+              <button
+                class="card-action"
+                data-action="unban-artist"
+                data-artist="${escapeHtml(data.artist)}"
+              >Unban</button>
+            </p>`
+          : ""
+      }
+    </div>
+
+    <div class="info-card artist-summary">
+      <h3>Licenses</h3>
+      <div class="badge-row">${licenseBadges}</div>
+      <h3>Most used tags</h3>
+      <div class="badge-row">${tagBadges || "<span>No tags</span>"}</div>
+    </div>
+
+    <div class="album-grid">${displayedUrls
+      .map((urlListing) => renderAlbumCard(urlListing, queryFilters, crateCounts))
+      .join("")}</div>
+
+    ${showMoreButton}
+  `;
+}
+
+function renderArtistDirectory() {
+  const directory = state.artistDirectory;
+  const selectedLetter = getArtistDirectoryLetter();
+
+  const letterLinks = ARTIST_DIRECTORY_LETTERS.map((letter) => {
+    const count = directory.letterCounts[letter] || 0;
+    const activeClass = letter === selectedLetter ? "is-active" : "";
+    const emptyClass = count === 0 ? "is-empty" : "";
+    return `
+      <a
+        class="letter-link ${activeClass} ${emptyClass}"
+        href="${buildRoute("/artists", {
+          letter: letter === selectedLetter ? null : letter,
+        })}"
+        title="${formatCount(count)} artists"
+      >${escapeHtml(letter)}</a>
+    `;
+  }).join("");
+
+  let results;
+  if (directory.status === "error") {
+    results = `<p class="status status--error">Artist directory failed to load.</p>`;
+  } else if (directory.status !== "loaded") {
+    results = `<p class="status status--loading">Loading artists...</p>`;
+  } else if (directory.total === 0) {
+    results = `<p class="status status--empty">No artists match.</p>`;
+  } else {
+    const artistRows = directory.items
+      .map(
+        (entry) => `
+          <li data-key="artist-${escapeHtml(entry.artist)}">
+            <a class="artist-link" href="${buildArtistRoute(entry.artist)}">
+              <span class="artist-link__name">${escapeHtml(entry.artist)}</span>
+              <span class="artist-link__count">${formatCount(entry.count)}</span>
+            </a>
+          </li>
+        `
+      )
+      .join("");
+    const loadMoreButton =
+      directory.items.length < directory.total
+        ? `<button class="ghost-button" data-action="load-more-artists" ${
+            directory.loading ? "disabled" : ""
+          }>Show more artists</button>`
+        : "";
+
+    results = `
+      <p class="result-meta"><strong>${formatCount(
+        directory.total
+      )}</strong> artists · showing ${formatCount(directory.items.length)}</p>
+      <ul class="artist-directory">${artistRows}</ul>
+      ${loadMoreButton}
+    `;
+  }
+
+  return `
+    <div class="section-head">
+      <h2>${BRAND.navArtists}</h2>
+      <p>Every Bandcamp artist and label in the catalog, A–Z.</p>
+    </div>
+
+    <form id="artist-search-form" class="search-form">
+      <label class="field-label">
+        Search artists
+        <input
+          id="artist-search-input"
+          type="search"
+          value="${escapeHtml(state.artistSearch)}"
+          placeholder="bandcamp subdomain"
+        />
+      </label>
+    </form>
+
+    <nav class="letter-nav" aria-label="Artists by first letter">
+      ${letterLinks}
+    </nav>
+
+    ${results}
+  `;
+}
+
+function renderTagGraph() {
+  if (state.loadingTags === "error" || state.graph.status === "error") {
+    return `<p class="status status--error">Tag graph failed to load.</p>`;
+  }
+
+  if (state.graph.status !== "loaded") {
+    return `<p class="status status--loading">Building tag graph...</p>`;
+  }
+
+  const graph = state.graph;
+  const focusId = graph.focusId;
+  const neighborIds = getGraphNeighborIds(focusId);
+  const maxEdgeCount = Math.max(1, ...graph.edges.map((edge) => edge.count));
+
+  const edges = graph.edges
+    .map((edge) => {
+      const source = graph.nodeById.get(edge.source);
+      const target = graph.nodeById.get(edge.target);
+      const isFocused = edge.source === focusId || edge.target === focusId;
+      return `
+        <line
+          class="tag-graph__edge ${isFocused ? "is-focused" : ""}"
+          data-key="edge-${edge.source}-${edge.target}"
+          x1="${source.x}"
+          y1="${source.y}"
+          x2="${target.x}"
+          y2="${target.y}"
+          stroke-width="${(1 + (3 * edge.count) / maxEdgeCount).toFixed(2)}"
+        />
+      `;
+    })
+    .join("");
+
+  const nodes = graph.nodes
+    .map((node) => {
+      const stateClass =
+        node.tag_id === focusId
+          ? "is-focused"
+          : neighborIds.has(node.tag_id)
+            ? "is-neighbor"
+            : "";
+      return `
+        <a
+          class="tag-graph__node ${stateClass}"
+          data-key="node-${node.tag_id}"
+          href="${buildRoute("/list", { tag: node.tag_id })}"
+          transform="translate(${node.x} ${node.y})"
+        >
+          <title>${escapeHtml(node.name)} · ${formatCount(node.count)} albums</title>
+          <circle r="${node.r}" />
+          <text y="${node.r + 12}">${escapeHtml(node.name)}</text>
+        </a>
+      `;
+    })
+    .join("");
+
+  const focusedNode = graph.nodeById.get(focusId);
+  let searchStatus = "";
+  if (focusedNode) {
+    searchStatus = `<p class="tag-graph__status" role="status">Showing ${escapeHtml(
+      focusedNode.name
+    )} and the ${formatCount(neighborIds.size)} tags it is linked to. Press Enter to open its albums.</p>`;
+  } else if (graph.search.trim()) {
+    searchStatus = `<p class="tag-graph__status" role="status">No tag in the graph matches "${escapeHtml(
+      graph.search.trim()
+    )}".</p>`;
   }
 
-  return renderAlbumList(queryFilters, queryFilteredUrls);
+  return `
+    <div class="section-head">
+      <h2>${BRAND.navGraph}</h2>
+      <p>
+        The ${formatCount(graph.nodes.length)} most-used tags, linked to the tags
+        they most often share albums with. Scroll or use the buttons to zoom,
+        drag to pan, and pick a tag to see its albums.
+      </p>
+    </div>
+
+    <form id="graph-search-form" class="search-form">
+      <label class="field-label">
+        Find a tag
+        <input
+          id="graph-search"
+          type="search"
+          value="${escapeHtml(graph.search)}"
+          placeholder="ambient, drone, techno"
+        />
+      </label>
+    </form>
+    ${searchStatus}
+
+    <div class="tag-graph ${focusedNode ? "has-focus" : ""}">
+      <div class="tag-graph__zoom">
+        <button type="button" class="card-action" data-action="graph-zoom" data-zoom="in" aria-label="Zoom in">+</button>
+        <button type="button" class="card-action" data-action="graph-zoom" data-zoom="out" aria-label="Zoom out">−</button>
+        <button type="button" class="card-action" data-action="graph-zoom" data-zoom="reset">Reset view</button>
+      </div>
+      <svg
+        class="tag-graph__canvas"
+        viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}"
+        role="group"
+        aria-label="Tag co-occurrence graph"
+      >
+        <g id="tag-graph-viewport" transform="${getGraphTransform()}">
+          <g class="tag-graph__edges">${edges}</g>
+          <g class="tag-graph__nodes">${nodes}</g>
+        </g>
+      </svg>
+    </div>
+  `;
 }
 
 function renderLicenseLegend() {
@@ -486,7 +1912,7 @@ function renderLicenseLegend() {
   `;
 }
 
-function renderTagExplorer() {
+function renderTagExplorer(queryFilters) {
   if (state.loadingTags === "error") {
     return `<p class="status status--error">Tag index failed to load.</p>`;
   }
@@ -495,14 +1921,7 @@ function renderTagExplorer() {
     return `<p class="status status--loading">Loading tags...</p>`;
   }
 
-  const visibleTags = state.tags.filter((tag) => {
-    if (state.filterLowCount === "top" && tag.count < LOW_COUNT) return false;
-    if (state.filterLowCount === "more" && tag.count < VERY_LOW_COUNT) return false;
-
-    const query = state.debouncedTagSearch.toLowerCase();
-    if (!query) return true;
-    return String(tag.name || "").toLowerCase().includes(query);
-  });
+  const visibleTags = getVisibleExplorerTags();
 
   const showMoreButton =
     state.filterLowCount !== "all"
@@ -525,15 +1944,45 @@ function renderTagExplorer() {
     }
   ).join("");
 
+  const filterParams = {
+    lic: queryFilters.selectedLicenseCode,
+    faves: queryFilters.showingFaves ? "true" : null,
+  };
+
   const tagCards = visibleTags
-    .map(
-      (tag) => `
-        <a class="tag-chip" href="${buildRoute("/list", { tag: tag.tag_id })}">
-          <span class="tag-chip__name">${escapeHtml(tag.name)}</span>
-          <span class="tag-chip__count">${formatCount(tag.count)}</span>
-        </a>
-      `
-    )
+    .map((tag) => {
+      const related = (state.relatedTagsById.get(tag.tag_id) || [])
+        .map((entry) => {
+          const relatedTag = state.tagById.get(entry.tag_id);
+          if (!relatedTag) return "";
+          return `
+            <a
+              class="tag-card__related-link"
+              href="${buildRoute("/list", {
+                ...filterParams,
+                tags: `${tag.tag_id},${entry.tag_id}`,
+              })}"
+              title="${formatCount(entry.count)} albums tagged ${escapeHtml(
+                tag.name
+              )} and ${escapeHtml(relatedTag.name)}"
+            >+ ${escapeHtml(relatedTag.name)}</a>
+          `;
+        })
+        .join("");
+
+      return `
+        <div class="tag-card" data-key="tag-${tag.tag_id}" data-tag-id="${tag.tag_id}">
+          <a
+            class="tag-chip"
+            href="${buildRoute("/list", { ...filterParams, tag: tag.tag_id })}"
+          >
+            <span class="tag-chip__name">${escapeHtml(tag.name)}</span>
+            <span class="tag-chip__count">${formatCount(getTagFacetCount(tag))}</span>
+          </a>
+          ${related ? `<div class="tag-card__related">${related}</div>` : ""}
+        </div>
+      `;
+    })
     .join("");
 
   return `
@@ -561,37 +2010,239 @@ function renderTagExplorer() {
         <span>Favorites</span>
         <small>editor picks</small>
       </a>
+      <a class="quick-card quick-card--stars" href="${buildRoute("/list", {
+        stars: "true",
+      })}">
+        <span>My stars</span>
+        <small>${formatCount(state.stars.size)} saved here</small>
+      </a>
       ${licenseCards}
     </div>
 
+    ${renderRecentlyPlayed()}
+
+    ${renderGenreTree(filterParams)}
+
     ${renderLicenseLegend()}
 
+    ${renderTagFacetFilter(queryFilters)}
+
     <div class="chip-grid">
       ${tagCards}
     </div>
+    ${
+      visibleTags.length === 0 && showMoreButton
+        ? `<p class="status status--empty">No tags reach this many albums under these filters.</p>`
+        : ""
+    }
 
     ${showMoreButton}
   `;
 }
 
-function renderLicenseBadgeFilter(queryFilters) {
-  const selectedLicenseSelection =
-    queryFilters.selectedLicenseSelection || DEFAULT_RESULTS_LICENSE_SELECTION;
-  const selectedCode =
-    selectedLicenseSelection === ALL_LICENSE_SELECTION
-      ? null
-      : selectedLicenseSelection;
-  const selectedTokens = new Set(
-    selectedCode ? getOptionalLicenseTokens(selectedCode) : []
-  );
-  const requirements = getLicenseRequirementSummary(selectedLicenseSelection);
-  const isByActive =
-    selectedCode != null && normalizeLicenseCode(selectedCode) != null;
+function renderGenreTree(filterParams) {
+  if (state.genres.length === 0) return "";
 
-  const badgeItems = LICENSE_BADGES.map((badge) => {
-    const nextTokens = new Set(selectedTokens);
+  const renderGenres = (genres) =>
+    genres
+      .map((genre) => {
+        const isOpen = state.genreTreeOpen.has(genre.id);
+        const tagLinks = genre.tags
+          .map((tagId) => state.tagById.get(resolveTagAlias(tagId)))
+          .filter(Boolean)
+          .map(
+            (tag) => `
+              <a
+                class="genre-tree__tag"
+                href="${buildRoute("/list", { ...filterParams, tag: tag.tag_id })}"
+              >${escapeHtml(tag.name)}</a>
+            `
+          )
+          .join("");
+        const tagCount = getGenreTagIds(genre).length;
+
+        return `
+          <li class="genre-tree__item" data-key="genre-${escapeHtml(genre.id)}">
+            <div class="genre-tree__row">
+              ${
+                genre.children.length > 0
+                  ? `<button
+                      type="button"
+                      class="genre-tree__toggle"
+                      data-action="toggle-genre"
+                      data-genre-id="${escapeHtml(genre.id)}"
+                      aria-expanded="${isOpen}"
+                      aria-label="${escapeHtml(
+                        `${isOpen ? "Collapse" : "Expand"} ${genre.name}`
+                      )}"
+                    >${isOpen ? "▾" : "▸"}</button>`
+                  : `<span class="genre-tree__spacer" aria-hidden="true"></span>`
+              }
+              <a
+                class="genre-tree__link"
+                href="${buildRoute("/list", { ...filterParams, genre: genre.id })}"
+              >${escapeHtml(genre.name)}</a>
+              <small>${formatCount(tagCount)} ${tagCount === 1 ? "tag" : "tags"}</small>
+            </div>
+            ${
+              isOpen || genre.children.length === 0
+                ? `<div class="genre-tree__tags">${tagLinks}</div>`
+                : ""
+            }
+            ${
+              isOpen && genre.children.length > 0
+                ? `<ul class="genre-tree__children">${renderGenres(genre.children)}</ul>`
+                : ""
+            }
+          </li>
+        `;
+      })
+      .join("");
 
-    if (nextTokens.has(badge.token)) {
+  return `
+    <div class="info-card genre-tree">
+      <h3>Browse by genre</h3>
+      <p>Each genre also covers the tags of every genre below it.</p>
+      <ul class="genre-tree__list">${renderGenres(state.genres)}</ul>
+    </div>
+  `;
+}
+
+function renderRecentlyPlayed() {
+  if (state.history.length === 0) return "";
+
+  const now = Date.now();
+  const rows = state.history
+    .slice(0, RECENTLY_PLAYED_COUNT)
+    .map((entry) => {
+      const artist = Catalog.getArtistSubdomain(entry.url);
+      const titleHref =
+        entry.url_id != null ? buildAlbumRoute(entry.url_id) : entry.url;
+      return `
+        <li class="history-item" data-key="history-${escapeHtml(entry.played_at)}">
+          <div class="history-item__main">
+            <a class="history-item__title" href="${escapeHtml(titleHref)}">${escapeHtml(
+              entry.title
+            )}</a>
+            <small>
+              ${artist ? `${escapeHtml(artist)} · ` : ""}${escapeHtml(
+                formatTimeAgo(entry.played_at, now)
+              )}${
+                entry.filters
+                  ? ` · <a href="${escapeHtml(entry.route)}">from ${escapeHtml(
+                      entry.filters
+                    )}</a>`
+                  : ""
+              }
+            </small>
+          </div>
+          <button
+            class="card-action"
+            data-action="listen"
+            data-url-id="${entry.url_id}"
+          >Play</button>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="info-card recently-played">
+      <div class="recently-played__head">
+        <h3>Recently played</h3>
+        <button class="card-action" data-action="clear-history">Clear history</button>
+      </div>
+      <ul class="recently-played__list">${rows}</ul>
+    </div>
+  `;
+}
+
+function renderTagFacetFilter(queryFilters) {
+  const selectedCode = queryFilters.selectedLicenseCode;
+  const faves = queryFilters.showingFaves ? "true" : null;
+  const facets = getActiveFacets();
+
+  const licenseOptions = [{ name: null, label: "All licenses" }]
+    .concat(LICENSES.map((license) => ({ name: license.name, label: license.name })))
+    .map((option) => {
+      const license = option.name ? licenseByName.get(option.name) : null;
+      const count = license
+        ? getLicenseFacetCount(license)
+        : getAllLicensesFacetCount();
+      return `
+        <a
+          class="facet-filter__option ${
+            option.name === selectedCode ? "is-active" : ""
+          } ${count === 0 ? "is-empty" : ""}"
+          href="${buildRoute("/", { lic: option.name, faves })}"
+        >
+          ${escapeHtml(option.label)}
+          <small>${count == null ? "..." : formatCount(count)}</small>
+        </a>
+      `;
+    })
+    .join("");
+
+  return `
+    <nav class="facet-filter" aria-label="Count tags within">
+      <p class="field-label">Count tags within</p>
+      <div class="facet-filter__row">
+        ${licenseOptions}
+        <a
+          class="facet-filter__option facet-filter__option--fave ${
+            faves ? "is-active" : ""
+          }"
+          href="${buildRoute("/", { lic: selectedCode, faves: faves ? null : "true" })}"
+          aria-pressed="${Boolean(faves)}"
+        >
+          Favorites only
+        </a>
+      </div>
+      ${
+        facets
+          ? `<p class="facet-filter__total">${formatCount(facets.total)} ${
+              facets.total === 1 ? "album matches" : "albums match"
+            }; tags without matches are hidden.</p>`
+          : ""
+      }
+    </nav>
+  `;
+}
+
+function getVisibleExplorerTags() {
+  const query = state.debouncedTagSearch.toLowerCase();
+  const facets = getActiveFacets();
+
+  // Thresholds follow the counts under the active filters once they load.
+  return state.tags.filter((tag) => {
+    const count = getTagFacetCount(tag);
+    if (state.filterLowCount === "top" && count < LOW_COUNT) return false;
+    if (state.filterLowCount === "more" && count < VERY_LOW_COUNT) return false;
+    if (facets && count === 0) return false;
+
+    if (!query) return true;
+    return tagMatchesSearch(tag, query);
+  });
+}
+
+function renderLicenseBadgeFilter(queryFilters) {
+  const selectedLicenseSelection =
+    queryFilters.selectedLicenseSelection || DEFAULT_RESULTS_LICENSE_SELECTION;
+  const selectedCode =
+    selectedLicenseSelection === ALL_LICENSE_SELECTION
+      ? null
+      : selectedLicenseSelection;
+  const selectedTokens = new Set(
+    selectedCode ? getOptionalLicenseTokens(selectedCode) : []
+  );
+  const requirements = getLicenseRequirementSummary(selectedLicenseSelection);
+  const isByActive =
+    selectedCode != null && normalizeLicenseCode(selectedCode) != null;
+
+  const badgeItems = LICENSE_BADGES.map((badge) => {
+    const nextTokens = new Set(selectedTokens);
+
+    if (nextTokens.has(badge.token)) {
       nextTokens.delete(badge.token);
     } else {
       nextTokens.add(badge.token);
@@ -599,6 +2250,8 @@ function renderLicenseBadgeFilter(queryFilters) {
 
     const nextCode = composeLicenseCodeFromOptionalTokens(nextTokens);
     const isActive = selectedTokens.has(badge.token);
+    const nextLicense = nextCode ? licenseByName.get(nextCode) : null;
+    const count = nextLicense ? getLicenseFacetCount(nextLicense) : null;
 
     if (!nextCode) {
       return `
@@ -620,10 +2273,13 @@ function renderLicenseBadgeFilter(queryFilters) {
     return `
       <a
         href="${href}"
-        class="license-picker__badge ${isActive ? "is-active" : ""}"
+        class="license-picker__badge ${isActive ? "is-active" : ""} ${
+          count === 0 ? "is-empty" : ""
+        }"
         title="${escapeHtml(badge.requirement)}"
       >
         ${escapeHtml(badge.label)}
+        ${renderLicenseBadgeCount(count)}
       </a>
     `;
   }).join("");
@@ -636,6 +2292,8 @@ function renderLicenseBadgeFilter(queryFilters) {
     lic: "by",
     license: null,
   });
+  const allCount = getAllLicensesFacetCount();
+  const byCount = getLicenseFacetCount(licenseByName.get("by"));
   const codeDisplay =
     selectedLicenseSelection === ALL_LICENSE_SELECTION
       ? `<code>all</code>`
@@ -655,15 +2313,17 @@ function renderLicenseBadgeFilter(queryFilters) {
           title="Show all Creative Commons licenses"
         >
           ALL
+          ${renderLicenseBadgeCount(allCount)}
         </a>
         <a
           href="${byHref}"
           class="license-picker__badge ${
             isByActive ? "is-active" : ""
-          }"
+          } ${byCount === 0 ? "is-empty" : ""}"
           title="${escapeHtml(BY_BADGE_TOOLTIP)}"
         >
           BY
+          ${renderLicenseBadgeCount(byCount)}
         </a>
         ${badgeItems}
       </div>
@@ -674,7 +2334,12 @@ function renderLicenseBadgeFilter(queryFilters) {
   `;
 }
 
-function renderAlbumList(queryFilters, queryFilteredUrls) {
+function renderLicenseBadgeCount(count) {
+  if (count == null) return "";
+  return `<small class="license-picker__count">${formatCount(count)}</small>`;
+}
+
+function renderAlbumList(queryFilters) {
   if (state.loadingTags === "error" || state.loadingUrls === "error") {
     return `<p class="status status--error">Album index failed to load.</p>`;
   }
@@ -683,16 +2348,9 @@ function renderAlbumList(queryFilters, queryFilteredUrls) {
     return `<p class="status status--loading">Loading albums...</p>`;
   }
 
-  let listFiltered = queryFilteredUrls;
-  listFiltered = applyListTagFilter(listFiltered);
-  listFiltered = applyListTextSearch(listFiltered);
-  if (state.listCapPerArtist) {
-    listFiltered = collapseUrls(listFiltered, URL_CAP);
-  }
-
-  const shuffledUrls = getShuffledUrls(listFiltered, queryFilters);
-  const visibleCount = Math.min(state.listVisibleCount, shuffledUrls.length);
-  const displayedUrls = shuffledUrls.slice(0, visibleCount);
+  const listCache = state.listCache;
+  const visibleCount = Math.min(state.listVisibleCount, listCache.total);
+  const displayedUrls = getDisplayedListings();
 
   const selectedLicense = queryFilters.selectedLicense;
   const selectedLicenseData = selectedLicense
@@ -726,8 +2384,9 @@ function renderAlbumList(queryFilters, queryFilteredUrls) {
     `
     : "";
 
-  const hasResults = listFiltered.length > 0;
-  const hasMoreResults = visibleCount < shuffledUrls.length;
+  const hasResults = listCache.total > 0;
+  const hasMoreResults =
+    listCache.status === "loaded" && visibleCount < listCache.total;
   const listLoadControl = hasMoreResults
     ? supportsListObserver()
       ? `<div class="list-load-sentinel" data-role="list-load-sentinel" aria-hidden="true"></div>`
@@ -745,10 +2404,13 @@ function renderAlbumList(queryFilters, queryFilteredUrls) {
     ${renderLicenseBadgeFilter(queryFilters)}
 
     ${renderListTextSearch()}
+    ${renderListGenreFilter()}
     ${renderListTagFilter()}
+    ${renderListRelatedTags()}
     ${renderListCapToggle()}
+    ${renderListStarsToggle()}
 
-    <p class="result-meta"><strong>${formatCount(listFiltered.length)}</strong> matching albums · showing ${formatCount(visibleCount)}</p>
+    ${renderListToolbar(listCache, displayedUrls.length)}
 
     ${selectedLicenseDetails}
     ${favoritesAbout}
@@ -756,28 +2418,124 @@ function renderAlbumList(queryFilters, queryFilteredUrls) {
       ${renderLicenseLegend()}
     </div>
 
-    ${
-      hasResults
-        ? `<div class="album-grid">${displayedUrls
-            .map((urlListing) => renderAlbumCard(urlListing, queryFilters))
-            .join("")}</div>`
-        : `<p class="status status--empty">No albums match these filters.</p>`
-    }
+    ${renderListResults(listCache, displayedUrls, hasResults, queryFilters)}
 
     ${listLoadControl}
   `;
 }
 
-function renderAlbumCard(urlListing, queryFilters) {
+function renderListToolbar(listCache, displayedCount) {
+  const meta =
+    listCache.status === "loaded"
+      ? `<p class="result-meta"><strong>${formatCount(listCache.total)}</strong> matching albums · showing ${formatCount(displayedCount)}${
+          Catalog.tokenizeSearchQuery(state.debouncedListTextSearch).length > 0 &&
+          state.listSort === DEFAULT_LIST_SORT
+            ? " · ranked by relevance"
+            : ""
+        }</p>`
+      : `<p class="result-meta">Searching albums...</p>`;
+
+  const sortOptions = LIST_SORT_OPTIONS.map(
+    (option) => `
+      <option value="${option.value}" ${
+        option.value === state.listSort ? "selected" : ""
+      }>${escapeHtml(option.label)}</option>
+    `
+  ).join("");
+
+  const canReshuffle =
+    state.listSort === DEFAULT_LIST_SORT || state.listSort === "favorites";
+
+  return `
+    <div class="result-toolbar">
+      ${meta}
+      <div class="result-toolbar__controls">
+        <label class="sort-field">
+          Sort
+          <select id="list-sort">${sortOptions}</select>
+        </label>
+        ${
+          canReshuffle
+            ? `<button
+                class="reshuffle-button"
+                data-action="reshuffle-list"
+                title="Shuffle seed ${state.shuffleSeed}"
+              >
+                Reshuffle
+              </button>`
+            : ""
+        }
+      </div>
+    </div>
+  `;
+}
+
+function renderListResults(listCache, displayedUrls, hasResults, queryFilters) {
+  if (listCache.status === "error") {
+    return `<p class="status status--error">Album results failed to load.</p>`;
+  }
+
+  if (listCache.status !== "loaded") {
+    return `<p class="status status--loading">Loading albums...</p>`;
+  }
+
+  if (!hasResults) {
+    return `<p class="status status--empty">No albums match these filters.</p>`;
+  }
+
+  const { start, end } = getListWindow(displayedUrls);
+  state.listWindow = { start, end };
+
+  return `<div
+    class="album-grid"
+    style="${getListWindowPadding(displayedUrls, start, end)}"
+  >${renderListWindowCards(displayedUrls, start, end, queryFilters)}</div>`;
+}
+
+// Cards outside the window are replaced by padding of the same height so the
+// scrollbar and the load sentinel stay where they would be.
+function getListWindowPadding(listings, start, end) {
+  const offsets = getListOffsets(listings);
+  const paddingTop = offsets[start];
+  const paddingBottom = offsets[listings.length] - offsets[end];
+  return `padding-top: ${paddingTop}px; padding-bottom: ${paddingBottom}px;`;
+}
+
+function renderListWindowCards(listings, start, end, queryFilters) {
+  const searchTokens = Catalog.tokenizeSearchQuery(state.debouncedListTextSearch);
+  const crateCounts = getCrateCountsByUrl();
+  return listings
+    .slice(start, end)
+    .map((urlListing) =>
+      renderAlbumCard(urlListing, queryFilters, crateCounts, searchTokens)
+    )
+    .join("");
+}
+
+// Imported crate items may only carry a url, so crates are counted by url,
+// once per render instead of once per card.
+function getCrateCountsByUrl() {
+  const counts = new Map();
+  for (const crate of state.crates) {
+    for (const url of new Set(crate.items.map((item) => item.url))) {
+      counts.set(url, (counts.get(url) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function renderAlbumCard(urlListing, queryFilters, crateCounts, searchTokens = []) {
   const tagBadges = (urlListing.tags || [])
     .map((tagId) => {
       const tag = state.tagById.get(tagId);
-      const activeClass = queryFilters.selectedTag === tagId ? "is-active" : "";
+      const activeClass = state.listSelectedTagIds.includes(tagId)
+        ? "is-active"
+        : "";
       const tagName = tag?.name || `tag:${tagId}`;
 
       return `
         <a href="${buildRoute("/list", { tag: tagId })}" class="badge badge--tag ${activeClass}">
-          ${escapeHtml(tagName)}
+          ${highlightSearchMatches(tagName, searchTokens)}
         </a>
       `;
     })
@@ -790,20 +2548,62 @@ function renderAlbumCard(urlListing, queryFilters) {
     : buildRoute("/list", { license: urlListing.license });
   const licenseActiveClass =
     queryFilters.selectedLicense === urlListing.license ? "is-active" : "";
+  const artistSubdomain = Catalog.getArtistSubdomain(urlListing.url);
+  const showArtistLink =
+    artistSubdomain &&
+    !(
+      state.route.path === "/artist" &&
+      state.route.params.subdomain === artistSubdomain
+    );
+  const isStarred = state.stars.has(urlListing.url_id);
+  const inCrateCount = crateCounts.get(urlListing.url) || 0;
+  const creditText = getAttributionText(urlListing, "plain");
+  const creditWarnings = getAttributionWarnings(urlListing)
+    .map(
+      (warning) => `<p class="album-card__warning">⚠ ${escapeHtml(warning)}</p>`
+    )
+    .join("");
 
   return `
-    <article class="album-card ${urlListing.favorite ? "album-card--fave" : ""}">
+    <article
+      class="album-card ${urlListing.favorite ? "album-card--fave" : ""} ${
+        isStarred ? "album-card--starred" : ""
+      }"
+      data-key="album-${urlListing.url_id}"
+    >
       <div class="album-card__top">
-        <span class="album-star">${urlListing.favorite ? "★" : ""}</span>
+        <span class="album-star" ${
+          urlListing.favorite ? `title="Editor pick"` : ""
+        }>${urlListing.favorite ? "★" : ""}</span>
         <a
           class="album-card__title"
+          href="${buildAlbumRoute(urlListing.url_id)}"
+        >
+          ${highlightSearchMatches(urlListing.title, searchTokens)}
+        </a>
+        <a
+          class="album-card__external"
           href="${escapeHtml(urlListing.url)}"
           target="_blank"
           rel="noreferrer"
-        >
-          ${escapeHtml(urlListing.title)}
-        </a>
+          title="Open on Bandcamp"
+          aria-label="Open ${escapeHtml(urlListing.title)} on Bandcamp"
+        >↗</a>
       </div>
+      ${
+        artistSubdomain
+          ? `<p class="album-card__artist">
+              <span>${highlightSearchMatches(artistSubdomain, searchTokens)}</span>
+              ${
+                showArtistLink
+                  ? `<a class="album-card__more" href="${buildArtistRoute(
+                      artistSubdomain
+                    )}">More from this artist</a>`
+                  : ""
+              }
+            </p>`
+          : ""
+      }
 
       <div class="badge-row">${tagBadges}</div>
 
@@ -815,6 +2615,38 @@ function renderAlbumCard(urlListing, queryFilters) {
           ${escapeHtml(licenseName)}
         </a>
       </div>
+      ${creditWarnings}
+
+      <div class="album-card__actions">
+        <button
+          class="card-action star-toggle ${isStarred ? "is-starred" : ""}"
+          data-action="toggle-star"
+          data-url-id="${urlListing.url_id}"
+          aria-pressed="${isStarred}"
+          title="${isStarred ? "Remove from my stars" : "Add to my stars"}"
+        >${isStarred ? "♥ Starred" : "♡ Star"}</button>
+        <button
+          class="card-action"
+          data-action="add-to-queue"
+          data-url-id="${urlListing.url_id}"
+          title="Add to the player queue"
+        >${state.copiedKey === `queued-${urlListing.url_id}` ? "Queued!" : "Queue"}</button>
+        <button
+          class="card-action"
+          data-action="copy-text"
+          data-copy-key="credit-${urlListing.url_id}"
+          data-copy-text="${escapeHtml(creditText || "")}"
+          title="Copy a ready-to-paste credit line"
+          ${creditText ? "" : "disabled"}
+        >${state.copiedKey === `credit-${urlListing.url_id}` ? "Copied!" : "Copy credit"}</button>
+        <button
+          class="card-action ${inCrateCount > 0 ? "is-active" : ""}"
+          data-action="toggle-crate-picker"
+          data-url-id="${urlListing.url_id}"
+          aria-expanded="${state.cratePickerUrlId === urlListing.url_id}"
+        >${inCrateCount > 0 ? `In ${inCrateCount} ${inCrateCount === 1 ? "crate" : "crates"}` : "Add to crate"}</button>
+      </div>
+      ${state.cratePickerUrlId === urlListing.url_id ? renderCratePicker(urlListing) : ""}
 
       <button
         class="listen-btn ${urlListing.favorite ? "listen-btn--fave" : ""}"
@@ -827,16 +2659,103 @@ function renderAlbumCard(urlListing, queryFilters) {
   `;
 }
 
+function renderCratePicker(urlListing) {
+  const crateButtons = state.crates
+    .map((crate) => {
+      const hasItem = crate.items.some((item) => item.url === urlListing.url);
+      return `
+        <li>
+          <button
+            class="crate-picker__crate ${hasItem ? "is-active" : ""}"
+            data-action="toggle-crate-item"
+            data-crate-id="${escapeHtml(crate.id)}"
+            data-url-id="${urlListing.url_id}"
+          >
+            <span>${hasItem ? "✓" : "+"} ${escapeHtml(crate.name)}</span>
+            <small>${formatCount(crate.items.length)}</small>
+          </button>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="crate-picker">
+      ${crateButtons ? `<ul class="crate-picker__list">${crateButtons}</ul>` : ""}
+      <form class="crate-form" data-url-id="${urlListing.url_id}">
+        <input
+          name="crate-name"
+          type="text"
+          maxlength="80"
+          placeholder="New crate name"
+          aria-label="New crate name"
+          required
+        />
+        <button class="card-action" type="submit">Create &amp; add</button>
+      </form>
+    </div>
+  `;
+}
+
+function highlightSearchMatches(value, searchTokens) {
+  const text = String(value ?? "");
+  if (searchTokens.length === 0) return escapeHtml(text);
+
+  let html = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const terms = Catalog.tokenizeSearchText(match[0]);
+    const isHit = terms.some((term) =>
+      searchTokens.some((token) => Catalog.matchesSearchToken(term, token))
+    );
+    if (!isHit) continue;
+
+    html += escapeHtml(text.slice(lastIndex, match.index));
+    html += `<mark class="search-hit">${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+function renderListGenreFilter() {
+  if (state.genres.length === 0) return "";
+
+  const renderOptions = (genres, depth) =>
+    genres
+      .map(
+        (genre) => `
+          <option value="${escapeHtml(genre.id)}" ${
+            genre.id === state.listGenreId ? "selected" : ""
+          }>${"— ".repeat(depth)}${escapeHtml(genre.name)}</option>
+          ${renderOptions(genre.children, depth + 1)}
+        `
+      )
+      .join("");
+
+  return `
+    <div class="list-filter-section">
+      <label class="field-label">
+        Genre
+        <select id="list-genre">
+          <option value="" ${state.listGenreId ? "" : "selected"}>Any genre</option>
+          ${renderOptions(state.genres, 0)}
+        </select>
+      </label>
+    </div>
+  `;
+}
+
 function renderListTextSearch() {
   return `
     <div class="list-filter-section">
       <label class="field-label">
-        Search by title or URL
+        Search titles, artists and tags
         <input
           id="list-text-search"
           type="search"
           value="${escapeHtml(state.listTextSearch)}"
-          placeholder="Search albums..."
+          placeholder="sigur ros, tape loops, drone..."
         />
       </label>
     </div>
@@ -846,33 +2765,56 @@ function renderListTextSearch() {
 function renderTagSuggestionsHTML() {
   if (!state.listTagSuggestionsVisible) return "";
   return `
-      <ul class="tag-autocomplete__list">
+      <ul
+        id="list-tag-listbox"
+        class="tag-autocomplete__list"
+        role="listbox"
+        aria-label="Matching tags"
+      >
         ${state.listTagSuggestions
           .map(
-            (tag) => `
+            (tag, index) => `
             <li
-              class="tag-autocomplete__option"
+              id="list-tag-option-${tag.tag_id}"
+              class="tag-autocomplete__option ${
+                index === state.listTagActiveIndex ? "is-active" : ""
+              } ${getTagFacetCount(tag) === 0 ? "is-empty" : ""}"
+              role="option"
+              aria-selected="${index === state.listTagActiveIndex}"
               data-action="select-list-tag"
               data-tag-id="${tag.tag_id}"
+              data-tag-mode="all"
+              data-key="tag-${tag.tag_id}"
             >
-              ${escapeHtml(tag.name)}
-              <span class="tag-autocomplete__count">${formatCount(tag.count)}</span>
+              <span class="tag-autocomplete__name">${escapeHtml(tag.name)}</span>
+              <span class="tag-autocomplete__count">${formatCount(
+                getTagFacetCount(tag)
+              )}</span>
             </li>
           `
           )
           .join("")}
-        ${state.listTagSuggestions.length === 0 ? `<li class="tag-autocomplete__option tag-autocomplete__option--empty">No matching tags</li>` : ""}
+        ${state.listTagSuggestions.length === 0 ? `<li class="tag-autocomplete__option tag-autocomplete__option--empty" role="presentation">No matching tags</li>` : ""}
       </ul>
     `;
 }
 
 function renderListTagFilter() {
-  const selectedBadges = state.listSelectedTagIds
-    .map((tagId) => {
+  const selectedBadges = LIST_TAG_MODES.flatMap((option) =>
+    state[option.stateKey].map((tagId) => {
       const tag = state.tagById.get(tagId);
       if (!tag) return "";
       return `
-        <span class="filter-tag-badge">
+        <span
+          class="filter-tag-badge filter-tag-badge--${option.mode}"
+          data-key="tag-${tagId}"
+        >
+          <button
+            class="filter-tag-badge__mode"
+            data-action="cycle-list-tag-mode"
+            data-tag-id="${tagId}"
+            title="${escapeHtml(option.hint)} — click to change"
+          >${option.label}</button>
           ${escapeHtml(tag.name)}
           <button
             class="filter-tag-badge__remove"
@@ -883,9 +2825,12 @@ function renderListTagFilter() {
         </span>
       `;
     })
-    .join("");
+  ).join("");
 
   const suggestions = renderTagSuggestionsHTML();
+  const activeTag = state.listTagSuggestionsVisible
+    ? state.listTagSuggestions[state.listTagActiveIndex]
+    : null;
 
   return `
     <div class="list-filter-section tag-autocomplete">
@@ -894,17 +2839,126 @@ function renderListTagFilter() {
         <input
           id="list-tag-search"
           type="search"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded="${state.listTagSuggestionsVisible}"
+          aria-controls="list-tag-listbox"
+          aria-describedby="list-tag-hint"
+          ${activeTag ? `aria-activedescendant="list-tag-option-${activeTag.tag_id}"` : ""}
           value="${escapeHtml(state.listTagSearchInput)}"
           placeholder="Type to search tags..."
           autocomplete="off"
         />
       </label>
       ${suggestions}
+      <p id="list-tag-status" class="visually-hidden" role="status" aria-live="polite">${escapeHtml(
+        state.listTagAnnouncement
+      )}</p>
       ${selectedBadges ? `<div class="filter-tag-badges">${selectedBadges}</div>` : ""}
+      <p id="list-tag-hint" class="tag-filter-hint">
+        ALL tags must match, at least one ANY tag must match, and NOT tags are excluded.
+        Use the arrow keys to pick a tag, Enter or click to add it as ALL, Shift+Enter or Shift+click as ANY,
+        Alt+Enter or Alt+click as NOT, and Backspace in an empty field to remove the last tag.
+        The mode button on an added tag switches it between ALL, ANY and NOT.
+      </p>
     </div>
   `;
 }
 
+function renderListRelatedTags() {
+  const listRelated = state.listRelated;
+  if (!hasListTagFilters() || listRelated.status !== "loaded") return "";
+
+  const chips = listRelated.items
+    .map((entry) => {
+      const tag = state.tagById.get(entry.tag_id);
+      if (!tag) return "";
+      return `
+        <span class="related-tag" data-key="related-${entry.tag_id}">
+          <button
+            type="button"
+            class="related-tag__add"
+            data-action="select-list-tag"
+            data-tag-id="${entry.tag_id}"
+            data-tag-mode="all"
+            title="Narrow to albums also tagged ${escapeHtml(tag.name)}"
+          >
+            ${escapeHtml(tag.name)}
+            <span class="related-tag__count">${formatCount(entry.count)}</span>
+          </button>
+          <button
+            type="button"
+            class="tag-mode-button tag-mode-button--any"
+            data-action="select-list-tag"
+            data-tag-id="${entry.tag_id}"
+            data-tag-mode="any"
+            title="${escapeHtml(`Add ${tag.name} as an ANY tag`)}"
+          >ANY</button>
+        </span>
+      `;
+    })
+    .join("");
+
+  if (!chips) return "";
+
+  return `
+    <div class="list-filter-section related-tags">
+      <p class="field-label">Often paired with</p>
+      <div class="related-tags__chips">${chips}</div>
+    </div>
+  `;
+}
+
+function getListTagMode(tagId) {
+  return (
+    LIST_TAG_MODES.find((option) => state[option.stateKey].includes(tagId))
+      ?.mode || null
+  );
+}
+
+function setListTagMode(tagId, mode) {
+  for (const option of LIST_TAG_MODES) {
+    const tagIds = state[option.stateKey].filter((id) => id !== tagId);
+    state[option.stateKey] = option.mode === mode ? [...tagIds, tagId] : tagIds;
+  }
+
+  state.listTagAddOrder = state.listTagAddOrder.filter((id) => id !== tagId);
+  if (mode != null) {
+    state.listTagAddOrder.push(tagId);
+  }
+
+  const tagName = state.tagById.get(tagId)?.name || `tag ${tagId}`;
+  const modeOption = LIST_TAG_MODES.find((option) => option.mode === mode);
+  state.listTagAnnouncement = modeOption
+    ? `${tagName} added as ${modeOption.label}.`
+    : `${tagName} removed.`;
+
+  state.listCache.key = "";
+  resetListPagination();
+  syncListRoute({ push: true });
+}
+
+function hasListTagFilters() {
+  return LIST_TAG_MODES.some((option) => state[option.stateKey].length > 0);
+}
+
+function describeListTagFilter() {
+  const getNames = (tagIds) =>
+    tagIds.map((tagId) => state.tagById.get(tagId)?.name || `tag:${tagId}`);
+
+  const parts = [];
+  if (state.listSelectedTagIds.length > 0) {
+    parts.push(getNames(state.listSelectedTagIds).join(" + "));
+  }
+  if (state.listAnyTagIds.length > 0) {
+    parts.push(getNames(state.listAnyTagIds).join(" or "));
+  }
+  if (state.listExcludedTagIds.length > 0) {
+    parts.push(`not ${getNames(state.listExcludedTagIds).join(", ")}`);
+  }
+  return parts.join(", ");
+}
+
 function renderListCapToggle() {
   return `
     <div class="list-filter-section">
@@ -921,101 +2975,559 @@ function renderListCapToggle() {
   `;
 }
 
-function applyListTagFilter(urls) {
-  if (state.listSelectedTagIds.length === 0) return urls;
+function renderListStarsToggle() {
+  return `
+    <div class="list-filter-section">
+      <label class="checkbox-field">
+        <input
+          id="list-stars-toggle"
+          type="checkbox"
+          ${state.listMyStars ? "checked" : ""}
+        />
+        <span>Only my stars (${formatCount(state.stars.size)})</span>
+      </label>
+      <p class="cap-toggle-hint">Your stars are saved in this browser and are separate from the editor's favorites.</p>
+    </div>
+  `;
+}
+
+function renderFooter() {
+  if (state.loadingTags !== "loaded" || state.loadingUrls !== "loaded") {
+    return `
+      <footer class="site-footer">
+        <a href="https://github.com/handeyeco/cc-bc" target="_blank" rel="noreferrer">Original dataset project</a>
+        <span>Loading music index...</span>
+      </footer>
+    `;
+  }
+
+  return `
+    <footer class="site-footer">
+      <a href="https://github.com/handeyeco/cc-bc" target="_blank" rel="noreferrer">Original dataset project</a>
+      <span>${formatCount(state.catalogTotal)} albums · ${formatCount(
+        state.tags.length
+      )} tags · maintained by wagenhoffer.dev</span>
+    </footer>
+  `;
+}
+
+// The embed is keyed by album so patching the controls around it never
+// reloads the iframe mid-track.
+function syncPlayer() {
+  if (!playerHostEl) return;
+  patchHtml(playerHostEl, renderPlayer());
+}
+
+function renderPlayer() {
+  if (!state.playerData?.bc_id) return "";
+
+  return `
+    <div class="sticky-player">
+      ${state.queueOpen ? renderQueueDrawer() : ""}
+      ${state.radio.active || state.radio.message ? renderRadioBar() : ""}
+      <div class="sticky-player__embed" data-key="player-${escapeHtml(
+        state.playerData.bc_id
+      )}">
+        <iframe
+          title="Bandcamp album preview"
+          src="https://bandcamp.com/EmbeddedPlayer/album=${escapeHtml(
+            state.playerData.bc_id
+          )}/size=small/bgcol=ffffff/linkcol=0f7d9b/transparent=true/"
+          seamless
+        >
+          <a href="${escapeHtml(state.playerData.url)}">${escapeHtml(
+            state.playerData.title
+          )}</a>
+        </iframe>
+      </div>
+      ${renderPlayerControls()}
+    </div>
+  `;
+}
+
+function renderRadioBar() {
+  const radio = state.radio;
+  if (!radio.active) {
+    return `
+      <div class="radio-bar">
+        <span class="radio-bar__label">${escapeHtml(radio.message)}</span>
+        <button class="player-controls__button" data-action="dismiss-radio-message">OK</button>
+      </div>
+    `;
+  }
+
+  const artist = Catalog.getArtistSubdomain(state.playerData.url);
+  const intervalOptions = RADIO_INTERVAL_OPTIONS.map(
+    (minutes) => `
+      <option value="${minutes}" ${
+        minutes === radio.intervalMinutes ? "selected" : ""
+      }>every ${minutes} min</option>
+    `
+  ).join("");
+  const isSaved = getRadioCrate()?.items.some(
+    (item) => item.url === state.playerData.url
+  );
+
+  return `
+    <div class="radio-bar">
+      <span class="radio-bar__label">
+        <strong>Radio</strong> · ${escapeHtml(radio.label)}
+      </span>
+      ${
+        radio.message
+          ? `<span class="radio-bar__note" role="status">${escapeHtml(
+              radio.message
+            )}</span>`
+          : ""
+      }
+      <button
+        class="player-controls__button"
+        data-action="radio-skip"
+        ${radio.loading ? "disabled" : ""}
+      >Skip</button>
+      <button
+        class="player-controls__button"
+        data-action="radio-ban-artist"
+        title="Never play ${escapeHtml(artist || "this artist")} on the radio again"
+        ${radio.loading || !artist ? "disabled" : ""}
+      >Ban artist</button>
+      <button
+        class="player-controls__button ${isSaved ? "is-active" : ""}"
+        data-action="radio-save"
+        title="Save to the &quot;${RADIO_CRATE_NAME}&quot; crate"
+        ${isSaved ? "disabled" : ""}
+      >${isSaved ? "Saved" : "Save"}</button>
+      <select id="radio-interval" aria-label="Advance radio">${intervalOptions}</select>
+      <button class="player-controls__button" data-action="stop-radio">Stop</button>
+    </div>
+  `;
+}
+
+function renderPlayerControls() {
+  const hasQueue = state.queue.length > 0 && state.queueIndex >= 0;
+  const upcomingCount = hasQueue ? state.queue.length - state.queueIndex - 1 : 0;
+  const canAdvance = upcomingCount > 0 || (hasQueue && hasMoreQueueSource());
+
+  return `
+    <div class="player-controls">
+      <button
+        class="player-controls__button"
+        data-action="queue-prev"
+        aria-label="Previous album"
+        ${hasQueue && state.queueIndex > 0 ? "" : "disabled"}
+      >⏮</button>
+      <button
+        class="player-controls__button"
+        data-action="queue-next"
+        aria-label="Next album"
+        ${canAdvance ? "" : "disabled"}
+      >⏭</button>
+      <span class="player-controls__now">
+        ${escapeHtml(state.playerData.title)}${
+          hasQueue
+            ? ` <small>${formatCount(state.queueIndex + 1)} / ${formatCount(
+                state.queue.length
+              )}</small>`
+            : ""
+        }
+      </span>
+      <button
+        class="player-controls__button"
+        data-action="queue-shuffle"
+        title="Shuffle upcoming albums"
+        ${upcomingCount > 1 ? "" : "disabled"}
+      >Shuffle</button>
+      <button
+        class="player-controls__button ${state.queueOpen ? "is-active" : ""}"
+        data-action="toggle-queue"
+        aria-expanded="${state.queueOpen}"
+      >Queue (${formatCount(upcomingCount)})</button>
+    </div>
+  `;
+}
+
+function renderQueueDrawer() {
+  const upcoming = state.queue
+    .map((listing, index) => ({ listing, index }))
+    .slice(state.queueIndex + 1);
+
+  const rows = upcoming
+    .map(
+      ({ listing, index }) => `
+        <li class="queue-item" data-key="queue-${index}-${listing.url_id}">
+          <button
+            class="queue-item__play"
+            data-action="queue-jump"
+            data-queue-index="${index}"
+          >
+            <span>${escapeHtml(listing.title)}</span>
+            <small>${escapeHtml(Catalog.getArtistSubdomain(listing.url) || "")}</small>
+          </button>
+          <button
+            class="card-action"
+            data-action="queue-remove"
+            data-queue-index="${index}"
+            aria-label="Remove ${escapeHtml(listing.title)} from queue"
+          >✕</button>
+        </li>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="queue-drawer">
+      <div class="queue-drawer__head">
+        <strong>Up next</strong>
+        <button class="card-action" data-action="queue-clear" ${
+          upcoming.length > 0 ? "" : "disabled"
+        }>Clear</button>
+      </div>
+      ${
+        rows
+          ? `<ol class="queue-drawer__list">${rows}</ol>`
+          : `<p class="queue-drawer__empty">Nothing queued. Use "Queue" on any album.</p>`
+      }
+    </div>
+  `;
+}
+
+function handleDocumentClick(event) {
+  if (state.cratePickerUrlId != null) {
+    const picker = document.querySelector(".crate-picker");
+    const toggle = event.target.closest?.('[data-action="toggle-crate-picker"]');
+    if (picker && !picker.contains(event.target) && !toggle) {
+      state.cratePickerUrlId = null;
+      render();
+    }
+  }
+
+  if (state.listTagSuggestionsVisible) {
+    const autocomplete = document.querySelector(".tag-autocomplete");
+    if (autocomplete && !autocomplete.contains(event.target)) {
+      closeListTagSuggestions();
+      render();
+    }
+  }
+}
+
+function handleAppClick(event) {
+  // A drag that pans the graph ends in a click on whatever node it started on.
+  if (state.graphPan?.moved && event.target.closest(".tag-graph__canvas")) {
+    event.preventDefault();
+    state.graphPan = null;
+    return;
+  }
+
+  const actionEl = event.target.closest("[data-action]");
+  if (!actionEl) return;
+
+  const action = actionEl.dataset.action;
+
+  if (action === "random-global") {
+    event.preventDefault();
+    handleRandomGlobal();
+    return;
+  }
+
+  if (action === "graph-zoom") {
+    event.preventDefault();
+    if (actionEl.dataset.zoom === "reset") {
+      state.graph.view = getDefaultGraphView();
+      applyGraphView();
+    } else {
+      zoomGraph(
+        actionEl.dataset.zoom === "in" ? GRAPH_ZOOM_STEP : 1 / GRAPH_ZOOM_STEP,
+        GRAPH_WIDTH / 2,
+        GRAPH_HEIGHT / 2
+      );
+    }
+    return;
+  }
+
+  if (action === "toggle-genre") {
+    event.preventDefault();
+    const genreId = actionEl.dataset.genreId;
+    if (state.genreTreeOpen.has(genreId)) {
+      state.genreTreeOpen.delete(genreId);
+    } else {
+      state.genreTreeOpen.add(genreId);
+    }
+    render();
+    return;
+  }
+
+  if (action === "show-more-tags") {
+    event.preventDefault();
+
+    if (state.filterLowCount === "top") {
+      state.filterLowCount = "more";
+    } else if (state.filterLowCount === "more") {
+      state.filterLowCount = "all";
+    }
+
+    render();
+    return;
+  }
+
+  if (action === "reshuffle-list") {
+    event.preventDefault();
+    state.shuffleSeed = Catalog.createSeed();
+    resetListPagination();
+    syncListRoute({ push: true });
+    render();
+    return;
+  }
+
+  if (action === "copy-text") {
+    event.preventDefault();
+    const copyKey = actionEl.dataset.copyKey || "";
+    copyText(actionEl.dataset.copyText || "")
+      .then(() => showCopyFeedback(copyKey))
+      .catch((error) => console.error("Failed to copy text", error));
+    return;
+  }
+
+  if (action === "start-radio") {
+    event.preventDefault();
+    startRadio();
+    return;
+  }
+
+  if (action === "stop-radio") {
+    event.preventDefault();
+    stopRadio("");
+    return;
+  }
+
+  if (action === "dismiss-radio-message") {
+    event.preventDefault();
+    state.radio.message = "";
+    syncPlayer();
+    return;
+  }
+
+  if (action === "radio-skip") {
+    event.preventDefault();
+    advanceRadio();
+    return;
+  }
+
+  if (action === "radio-ban-artist") {
+    event.preventDefault();
+    const artist = Catalog.getArtistSubdomain(state.playerData?.url);
+    if (!artist) return;
+
+    state.bannedArtists.add(artist);
+    saveBannedArtists();
+    advanceRadio();
+    return;
+  }
+
+  if (action === "unban-artist") {
+    event.preventDefault();
+    state.bannedArtists.delete(actionEl.dataset.artist);
+    saveBannedArtists();
+    render();
+    return;
+  }
+
+  if (action === "radio-save") {
+    event.preventDefault();
+    const entry = state.history.find((item) => item.url === state.playerData?.url);
+    const listing = state.urlById.get(entry?.url_id) || entry;
+    if (!listing) return;
+
+    const crate = getRadioCrate() || createCrate(RADIO_CRATE_NAME, []);
+    if (!crate.items.some((item) => item.url === listing.url)) {
+      crate.items.push(getCrateItem(listing));
+      saveCrates();
+    }
+    render();
+    return;
+  }
+
+  if (action === "queue-next" || action === "queue-prev") {
+    event.preventDefault();
+    if (action === "queue-next" && state.queueIndex >= state.queue.length - 1) {
+      refillQueue().then(() => playQueueIndex(state.queueIndex + 1));
+      return;
+    }
+    playQueueIndex(state.queueIndex + (action === "queue-next" ? 1 : -1));
+    return;
+  }
+
+  if (action === "queue-jump") {
+    event.preventDefault();
+    playQueueIndex(Number(actionEl.dataset.queueIndex));
+    return;
+  }
+
+  if (action === "queue-remove") {
+    event.preventDefault();
+    const index = Number(actionEl.dataset.queueIndex);
+    if (!(index > state.queueIndex && index < state.queue.length)) return;
+
+    state.queue.splice(index, 1);
+    syncPlayer();
+    return;
+  }
+
+  if (action === "queue-clear") {
+    event.preventDefault();
+    state.queue = state.queue.slice(0, state.queueIndex + 1);
+    state.queueSource = null;
+    syncPlayer();
+    return;
+  }
 
-  return urls.filter((urlListing) => {
-    const tags = urlListing.tags || [];
-    return state.listSelectedTagIds.every((tagId) => tags.includes(tagId));
-  });
-}
+  if (action === "queue-shuffle") {
+    event.preventDefault();
+    const upcoming = state.queue.slice(state.queueIndex + 1);
+    Catalog.shuffleInPlace(upcoming);
+    state.queue = state.queue.slice(0, state.queueIndex + 1).concat(upcoming);
+    syncPlayer();
+    return;
+  }
 
-function applyListTextSearch(urls) {
-  const query = state.debouncedListTextSearch.toLowerCase();
-  if (!query) return urls;
+  if (action === "toggle-queue") {
+    event.preventDefault();
+    state.queueOpen = !state.queueOpen;
+    syncPlayer();
+    return;
+  }
 
-  return urls.filter((urlListing) => {
-    return (
-      String(urlListing.title || "").toLowerCase().includes(query) ||
-      String(urlListing.url || "").toLowerCase().includes(query)
-    );
-  });
-}
+  if (action === "add-to-queue") {
+    event.preventDefault();
+    const listing = state.urlById.get(Number(actionEl.dataset.urlId));
+    if (!listing) return;
 
-function renderFooter() {
-  if (state.loadingTags !== "loaded" || state.loadingUrls !== "loaded") {
-    return `
-      <footer class="site-footer">
-        <a href="https://github.com/handeyeco/cc-bc" target="_blank" rel="noreferrer">Original dataset project</a>
-        <span>Loading music index...</span>
-      </footer>
-    `;
+    if (state.queueIndex < 0 || !state.playerData) {
+      state.queue = [listing];
+      state.queueIndex = 0;
+      state.queueSource = null;
+      playListing(listing);
+      return;
+    }
+
+    state.queue.push(listing);
+    showCopyFeedback(`queued-${listing.url_id}`);
+    syncPlayer();
+    return;
   }
 
-  return `
-    <footer class="site-footer">
-      <a href="https://github.com/handeyeco/cc-bc" target="_blank" rel="noreferrer">Original dataset project</a>
-      <span>${formatCount(state.urls.length)} albums · ${formatCount(
-        state.tags.length
-      )} tags · maintained by wagenhoffer.dev</span>
-    </footer>
-  `;
-}
+  if (action === "clear-history") {
+    event.preventDefault();
+    state.history = [];
+    saveHistory();
+    render();
+    return;
+  }
 
-function renderPlayer() {
-  if (!state.playerData?.bc_id) return "";
+  if (action === "toggle-star") {
+    event.preventDefault();
+    const urlId = Number(actionEl.dataset.urlId);
+    if (!Number.isFinite(urlId)) return;
 
-  return `
-    <div class="sticky-player">
-      <iframe
-        title="Bandcamp album preview"
-        src="https://bandcamp.com/EmbeddedPlayer/album=${state.playerData.bc_id}/size=small/bgcol=ffffff/linkcol=0f7d9b/transparent=true/"
-        seamless
-      >
-        <a href="${escapeHtml(state.playerData.url)}">${escapeHtml(
-          state.playerData.title
-        )}</a>
-      </iframe>
-    </div>
-  `;
-}
+    if (state.stars.has(urlId)) {
+      state.stars.delete(urlId);
+    } else {
+      state.stars.add(urlId);
+    }
+    saveStars();
+    render();
+    return;
+  }
 
-function handleDocumentClick(event) {
-  if (state.listTagSuggestionsVisible) {
-    const autocomplete = document.querySelector(".tag-autocomplete");
-    if (autocomplete && !autocomplete.contains(event.target)) {
-      state.listTagSuggestionsVisible = false;
-      state.listTagSuggestions = [];
-      render();
+  if (action === "toggle-crate-picker") {
+    event.preventDefault();
+    const urlId = Number(actionEl.dataset.urlId);
+    state.cratePickerUrlId = state.cratePickerUrlId === urlId ? null : urlId;
+    render();
+    return;
+  }
+
+  if (action === "toggle-crate-item") {
+    event.preventDefault();
+    const listing = state.urlById.get(Number(actionEl.dataset.urlId));
+    const crate = findCrate(actionEl.dataset.crateId);
+    if (!listing || !crate) return;
+
+    if (crate.items.some((item) => item.url === listing.url)) {
+      crate.items = crate.items.filter((item) => item.url !== listing.url);
+    } else {
+      crate.items.push(getCrateItem(listing));
     }
+    saveCrates();
+    render();
+    return;
   }
-}
 
-function handleAppClick(event) {
-  const actionEl = event.target.closest("[data-action]");
-  if (!actionEl) return;
+  if (action === "remove-crate-item") {
+    event.preventDefault();
+    const crate = findCrate(actionEl.dataset.crateId);
+    if (!crate) return;
 
-  const action = actionEl.dataset.action;
+    crate.items = crate.items.filter((item) => item.url !== actionEl.dataset.url);
+    saveCrates();
+    render();
+    return;
+  }
 
-  if (action === "random-global") {
+  if (action === "rename-crate") {
     event.preventDefault();
-    handleRandomGlobal();
+    const crate = findCrate(actionEl.dataset.crateId);
+    if (!crate) return;
+
+    const name = normalizeCrateName(window.prompt("Rename crate", crate.name));
+    if (!name) return;
+
+    crate.name = name;
+    saveCrates();
+    render();
     return;
   }
 
-  if (action === "show-more-tags") {
+  if (action === "delete-crate") {
     event.preventDefault();
+    const crate = findCrate(actionEl.dataset.crateId);
+    if (!crate) return;
+    if (!window.confirm(`Delete crate "${crate.name}"?`)) return;
 
-    if (state.filterLowCount === "top") {
-      state.filterLowCount = "more";
-    } else if (state.filterLowCount === "more") {
-      state.filterLowCount = "all";
-    }
+    state.crates = state.crates.filter((entry) => entry !== crate);
+    saveCrates();
+    render();
+    return;
+  }
 
+  if (action === "export-crate") {
+    event.preventDefault();
+    const crate = findCrate(actionEl.dataset.crateId);
+    const option = CRATE_EXPORT_FORMATS.find(
+      (entry) => entry.format === actionEl.dataset.format
+    );
+    if (!crate || !option) return;
+
+    downloadFile(
+      `${getCrateFileName(crate.name)}.${option.extension}`,
+      option.mimeType,
+      serializeCrate(crate, option.format)
+    );
+    return;
+  }
+
+  if (action === "show-more-artist-albums") {
+    event.preventDefault();
+    state.artistView.visibleCount += LIST_PAGE_SIZE;
     render();
     return;
   }
 
+  if (action === "load-more-artists") {
+    event.preventDefault();
+    requestArtistDirectoryPage();
+    return;
+  }
+
   if (action === "load-more-list") {
     event.preventDefault();
     loadNextListBatch();
@@ -1027,28 +3539,29 @@ function handleAppClick(event) {
     const urlId = Number(actionEl.dataset.urlId);
     if (!Number.isFinite(urlId)) return;
 
-    const listing = state.urlById.get(urlId);
+    const listing =
+      state.urlById.get(urlId) ||
+      state.history.find((entry) => entry.url_id === urlId);
     if (!listing) return;
 
-    state.playerData = {
-      title: listing.title,
-      url: listing.url,
-      bc_id: listing.bc_id,
-    };
-    render();
+    seedQueue(listing);
+    playListing(listing);
     return;
   }
 
   if (action === "select-list-tag") {
     event.preventDefault();
     const tagId = Number(actionEl.dataset.tagId);
-    if (Number.isFinite(tagId) && !state.listSelectedTagIds.includes(tagId)) {
-      state.listSelectedTagIds = [...state.listSelectedTagIds, tagId];
+    // Modifier clicks mirror Shift+Enter and Alt+Enter in the autocomplete.
+    const mode = event.shiftKey
+      ? "any"
+      : event.altKey
+        ? "not"
+        : actionEl.dataset.tagMode || "all";
+    if (Number.isFinite(tagId) && getListTagMode(tagId) == null) {
+      setListTagMode(tagId, mode);
       state.listTagSearchInput = "";
-      state.listTagSuggestions = [];
-      state.listTagSuggestionsVisible = false;
-      state.listCache.key = "";
-      resetListPagination();
+      closeListTagSuggestions();
       render();
       const input = document.getElementById("list-tag-search");
       if (input) input.focus();
@@ -1056,15 +3569,25 @@ function handleAppClick(event) {
     return;
   }
 
+  if (action === "cycle-list-tag-mode") {
+    event.preventDefault();
+    const tagId = Number(actionEl.dataset.tagId);
+    const currentIndex = LIST_TAG_MODES.findIndex(
+      (option) => option.mode === getListTagMode(tagId)
+    );
+    if (currentIndex === -1) return;
+
+    const nextOption = LIST_TAG_MODES[(currentIndex + 1) % LIST_TAG_MODES.length];
+    setListTagMode(tagId, nextOption.mode);
+    render();
+    return;
+  }
+
   if (action === "remove-list-tag") {
     event.preventDefault();
     const tagId = Number(actionEl.dataset.tagId);
     if (Number.isFinite(tagId)) {
-      state.listSelectedTagIds = state.listSelectedTagIds.filter(
-        (id) => id !== tagId
-      );
-      state.listCache.key = "";
-      resetListPagination();
+      setListTagMode(tagId, null);
       render();
     }
     return;
@@ -1075,7 +3598,7 @@ function handleAppSubmit(event) {
   const form = event.target;
   if (!(form instanceof HTMLFormElement)) return;
 
-  if (form.id === "tag-search-form") {
+  if (form.id === "tag-search-form" || form.id === "artist-search-form") {
     event.preventDefault();
     if (document.activeElement instanceof HTMLElement) {
       document.activeElement.blur();
@@ -1083,12 +3606,67 @@ function handleAppSubmit(event) {
     return;
   }
 
+  if (form.id === "graph-search-form") {
+    event.preventDefault();
+    if (state.graph.focusId != null) {
+      window.location.hash = buildRoute("/list", { tag: state.graph.focusId });
+    }
+    return;
+  }
+
+  if (form.classList.contains("crate-form")) {
+    event.preventDefault();
+    const name = normalizeCrateName(new FormData(form).get("crate-name"));
+    if (!name) return;
+
+    const crate = createCrate(name, []);
+    const listing = state.urlById.get(Number(form.dataset.urlId));
+    if (listing) {
+      crate.items.push(getCrateItem(listing));
+    }
+    saveCrates();
+    form.reset();
+    render();
+    return;
+  }
 }
 
 function handleAppInput(event) {
   const target = event.target;
+
+  if (target instanceof HTMLSelectElement && target.id === "radio-interval") {
+    state.radio.intervalMinutes = Number(target.value) || DEFAULT_RADIO_INTERVAL;
+    scheduleRadioAdvance();
+    return;
+  }
+
+  if (target instanceof HTMLSelectElement && target.id === "list-genre") {
+    state.listGenreId = target.value || null;
+    state.listCache.key = "";
+    resetListPagination();
+    syncListRoute({ push: true });
+    render();
+    return;
+  }
+
+  if (target instanceof HTMLSelectElement && target.id === "list-sort") {
+    state.listSort = target.value;
+    state.listCache.key = "";
+    resetListPagination();
+    syncListRoute({ push: true });
+    render();
+    return;
+  }
+
   if (!(target instanceof HTMLInputElement)) return;
 
+  if (target.id === "graph-search") {
+    state.graph.search = target.value;
+    focusGraphNode(findGraphNode(target.value));
+    render();
+    return;
+  }
+
   if (target.id === "tag-search-input") {
     state.tagSearch = target.value;
 
@@ -1113,6 +3691,21 @@ function handleAppInput(event) {
     return;
   }
 
+  if (target.id === "artist-search-input") {
+    state.artistSearch = target.value;
+
+    if (state.artistSearchTimer) {
+      clearTimeout(state.artistSearchTimer);
+    }
+
+    state.artistSearchTimer = setTimeout(() => {
+      state.debouncedArtistSearch = state.artistSearch.trim();
+      render();
+    }, 350);
+
+    return;
+  }
+
   if (target.id === "list-text-search") {
     state.listTextSearch = target.value;
 
@@ -1124,9 +3717,8 @@ function handleAppInput(event) {
       state.debouncedListTextSearch = state.listTextSearch.trim();
       state.listCache.key = "";
       resetListPagination();
+      syncListRoute();
       render();
-      const input = document.getElementById("list-text-search");
-      if (input) input.focus();
     }, 350);
 
     return;
@@ -1137,12 +3729,17 @@ function handleAppInput(event) {
     const query = target.value.trim().toLowerCase();
 
     if (query) {
-      const excluded = new Set(state.listSelectedTagIds);
+      const excluded = new Set(
+        LIST_TAG_MODES.flatMap((option) => state[option.stateKey])
+      );
+      // Tags with no albums under the current filters sink below the rest.
       state.listTagSuggestions = state.tags
         .filter(
-          (tag) =>
-            !excluded.has(tag.tag_id) &&
-            String(tag.name || "").toLowerCase().includes(query)
+          (tag) => !excluded.has(tag.tag_id) && tagMatchesSearch(tag, query)
+        )
+        .sort(
+          (a, b) =>
+            Number(getTagFacetCount(b) > 0) - Number(getTagFacetCount(a) > 0)
         )
         .slice(0, 10);
       state.listTagSuggestionsVisible = true;
@@ -1151,49 +3748,309 @@ function handleAppInput(event) {
       state.listTagSuggestionsVisible = false;
     }
 
-    const container = document.querySelector(".tag-autocomplete");
-    if (container) {
-      const oldList = container.querySelector(".tag-autocomplete__list");
-      if (oldList) oldList.remove();
-      const html = renderTagSuggestionsHTML();
-      if (html) {
-        container.querySelector("label").insertAdjacentHTML("afterend", html);
-      }
+    state.listTagActiveIndex = -1;
+    state.listTagAnnouncement = state.listTagSuggestionsVisible
+      ? describeTagMatchCount(state.listTagSuggestions.length)
+      : "";
+    render();
+    return;
+  }
+
+  if (target.id === "list-stars-toggle") {
+    state.listMyStars = target.checked;
+    state.listCache.key = "";
+    resetListPagination();
+    syncListRoute({ push: true });
+    render();
+    return;
+  }
+
+  if (target.id === "list-cap-toggle") {
+    state.listCapPerArtist = target.checked;
+    state.listCache.key = "";
+    resetListPagination();
+    syncListRoute({ push: true });
+    render();
+  }
+}
+
+function handleAppKeydown(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLInputElement) || target.id !== "list-tag-search") {
+    return;
+  }
+
+  const suggestions = state.listTagSuggestionsVisible
+    ? state.listTagSuggestions
+    : [];
+
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    if (suggestions.length === 0) return;
+    event.preventDefault();
+
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    const current = state.listTagActiveIndex;
+    state.listTagActiveIndex =
+      current === -1 && step === -1
+        ? suggestions.length - 1
+        : (current + step + suggestions.length) % suggestions.length;
+    state.listTagAnnouncement = "";
+    render();
+    document
+      .getElementById(`list-tag-option-${suggestions[state.listTagActiveIndex].tag_id}`)
+      ?.scrollIntoView({ block: "nearest" });
+    return;
+  }
+
+  if (event.key === "Enter") {
+    const tag = suggestions[state.listTagActiveIndex] ||
+      (suggestions.length === 1 ? suggestions[0] : null);
+    if (!tag) return;
+    event.preventDefault();
+
+    const mode = event.shiftKey ? "any" : event.altKey ? "not" : "all";
+    setListTagMode(tag.tag_id, mode);
+    closeListTagSuggestions();
+    state.listTagSearchInput = "";
+    render();
+    return;
+  }
+
+  if (event.key === "Escape") {
+    if (state.listTagSuggestionsVisible) {
+      event.preventDefault();
+      closeListTagSuggestions();
+      render();
     }
     return;
   }
 
-  if (target.id === "list-cap-toggle") {
-    state.listCapPerArtist = target.checked;
-    state.listCache.key = "";
-    resetListPagination();
-    render();
+  if (event.key === "Backspace" && target.value === "") {
+    const lastTagId = state.listTagAddOrder[state.listTagAddOrder.length - 1];
+    if (lastTagId == null) return;
+    event.preventDefault();
+
+    setListTagMode(lastTagId, null);
+    render();
+  }
+}
+
+function closeListTagSuggestions() {
+  state.listTagSuggestions = [];
+  state.listTagSuggestionsVisible = false;
+  state.listTagActiveIndex = -1;
+}
+
+function describeTagMatchCount(count) {
+  if (count === 0) return "No matching tags.";
+  return `${count} ${count === 1 ? "tag matches" : "tags match"}. Use the arrow keys to choose.`;
+}
+
+function handleAppChange(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLInputElement)) return;
+
+  if (target.id === "crate-import-input") {
+    const file = target.files?.[0];
+    if (!file) return;
+
+    file
+      .text()
+      .then((text) => {
+        const imported = parseCrateImport(text, file.name);
+        const crate = createCrate(imported.name, imported.items);
+        saveCrates();
+        state.crateNotice = {
+          type: "info",
+          text: `Imported ${formatCount(crate.items.length)} albums into "${crate.name}".`,
+        };
+      })
+      .catch((error) => {
+        console.error("Failed to import crate", error);
+        state.crateNotice = {
+          type: "error",
+          text: `Could not import ${file.name}: ${error.message}`,
+        };
+      })
+      .finally(() => {
+        target.value = "";
+        render();
+      });
+  }
+}
+
+function handleRandomGlobal() {
+  if (state.loadingUrls !== "loaded") return;
+
+  const params = getAlbumQueryParams(
+    getQueryFilters(state.route.query),
+    state.route.path === "/list"
+  );
+  params.set("seed", String(nextRandomSeed()));
+
+  // Open the tab synchronously so popup blockers treat it as user-initiated.
+  const popup = window.open("", "_blank");
+  if (popup) popup.opener = null;
+
+  requestRandomUnplayed(params)
+    .then((listing) => {
+      // The album opens on Bandcamp, not in the player, so it only joins the
+      // session skip list and stays out of the listening history.
+      if (listing) markSessionPlayed(listing);
+      openRandomUrl(listing, popup);
+    })
+    .catch((error) => {
+      console.error("Failed to pick a random album", error);
+      popup?.close();
+    });
+}
+
+// The Bandcamp embed does not report when an album ends, so the radio moves on
+// after a fixed interval or when the listener skips.
+function startRadio() {
+  if (state.loadingUrls !== "loaded") return;
+
+  const params = getAlbumQueryParams(
+    getQueryFilters(state.route.query),
+    state.route.path === "/list"
+  );
+  params.delete("sort");
+
+  stopRadio("");
+  state.radio = {
+    ...state.radio,
+    active: true,
+    params: params.toString(),
+    label: describeActiveFilters() || "all albums",
+    artistPlays: new Map(),
+    message: "",
+  };
+  render();
+  advanceRadio();
+}
+
+function stopRadio(message) {
+  if (state.radio.timer) {
+    clearTimeout(state.radio.timer);
+  }
+
+  state.radio.active = false;
+  state.radio.loading = false;
+  state.radio.timer = null;
+  state.radio.message = message;
+  render();
+}
+
+function advanceRadio() {
+  const radio = state.radio;
+  if (!radio.active || radio.loading) return;
+
+  // Artists that reached the per-artist cap this session are left out, like
+  // banned ones.
+  const skippedArtists = new Set(state.bannedArtists);
+  for (const [artist, count] of radio.artistPlays) {
+    if (count >= URL_CAP) skippedArtists.add(artist);
+  }
+
+  const params = new URLSearchParams(radio.params);
+  if (skippedArtists.size > 0) {
+    params.set("skip_artists", Array.from(skippedArtists).join(","));
+  }
+
+  radio.loading = true;
+  syncPlayer();
+  requestRandomUnplayed(params)
+    .then((listing) => {
+      radio.loading = false;
+      if (state.radio !== radio || !radio.active) return;
+      if (!listing) {
+        stopRadio("Radio stopped: no more albums match these filters.");
+        return;
+      }
+
+      const artist = Catalog.getArtistSubdomain(listing.url);
+      radio.artistPlays.set(artist, (radio.artistPlays.get(artist) || 0) + 1);
+      rememberListings([listing]);
+      radio.message = "";
+      playListing(listing, { fromRadio: true });
+      scheduleRadioAdvance();
+    })
+    .catch((error) => {
+      console.error("Radio failed to pick an album", error);
+      radio.loading = false;
+      if (state.radio === radio) {
+        stopRadio("Radio stopped: albums failed to load.");
+      }
+    });
+}
+
+function scheduleRadioAdvance() {
+  const radio = state.radio;
+  if (radio.timer) {
+    clearTimeout(radio.timer);
   }
+  if (!radio.active) return;
+
+  radio.timer = setTimeout(advanceRadio, radio.intervalMinutes * 60 * 1000);
 }
 
-function handleRandomGlobal() {
-  if (state.loadingUrls !== "loaded") return;
+// A manual pick gets a full interval before radio moves on, so the next tick
+// does not replace it.
+function restartRadioForManualPick() {
+  const radio = state.radio;
+  if (!radio.active) return;
 
-  const queryFilters = getQueryFilters(state.route.query);
-  let filtered = filterUrlsByQuery(state.urls, queryFilters);
+  scheduleRadioAdvance();
+  radio.message = `Playing your pick; radio continues in ${radio.intervalMinutes} min.`;
+}
 
-  if (state.route.path === "/list") {
-    filtered = applyListTagFilter(filtered);
-    filtered = applyListTextSearch(filtered);
-    if (state.listCapPerArtist) {
-      filtered = collapseUrls(filtered, URL_CAP);
-    }
+function getRadioCrate() {
+  return state.crates.find((crate) => crate.name === RADIO_CRATE_NAME) || null;
+}
+
+// Skips albums played this session; once every match has been heard, repeats
+// are allowed again rather than coming up empty.
+function requestRandomUnplayed(params) {
+  if (state.sessionPlayedIds.size === 0) {
+    return requestCatalog("random", params).then((result) => result?.item || null);
+  }
+
+  const unplayedParams = new URLSearchParams(params);
+  // Only the most recent plays are skipped so the query string stays short.
+  unplayedParams.set(
+    "skip",
+    Array.from(state.sessionPlayedIds).slice(-RANDOM_SKIP_LIMIT).join(",")
+  );
+  return requestCatalog("random", unplayedParams).then((result) =>
+    result?.item
+      ? result.item
+      : requestCatalog("random", params).then((retry) => retry?.item || null)
+  );
+}
+
+// Random picks draw from a generator seeded like the list shuffle, so a shared
+// link replays the same sequence of random albums.
+function nextRandomSeed() {
+  if (state.randomSequence?.seed !== state.shuffleSeed) {
+    state.randomSequence = {
+      seed: state.shuffleSeed,
+      random: Catalog.createSeededRandom(state.shuffleSeed),
+    };
   }
 
-  openRandomUrl(collapseUrls(filtered));
+  return Math.floor(state.randomSequence.random() * 4294967296);
 }
 
-function openRandomUrl(urls) {
-  if (!urls.length) return;
+function openRandomUrl(listing, popup) {
+  if (!listing?.url) {
+    popup?.close();
+    return;
+  }
 
-  const randomIndex = Math.floor(Math.random() * urls.length);
-  const listing = urls[randomIndex];
-  if (!listing?.url) return;
+  if (popup) {
+    popup.location.href = listing.url;
+    return;
+  }
 
   window.open(listing.url, "_blank", "noopener");
 }
@@ -1318,7 +4175,8 @@ function getQueryFilters(query, routePath = state.route.path) {
       licenseByName.get(selectedLicenseSelection)?.bc_id ?? null;
   }
 
-  const selectedTag = parseMaybeNumber(query.get("tag"));
+  const parsedTag = parseMaybeNumber(query.get("tag"));
+  const selectedTag = parsedTag == null ? null : resolveTagAlias(parsedTag);
   const showingFaves = query.has("faves");
 
   return {
@@ -1336,44 +4194,861 @@ function parseMaybeNumber(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
-function filterUrlsByQuery(urls, queryFilters) {
-  let filtered = urls;
+function getAlbumQueryParams(queryFilters, includeListFilters) {
+  const params = new URLSearchParams();
+
+  if (queryFilters.selectedLicenseCode) {
+    params.set("lic", queryFilters.selectedLicenseCode);
+  }
+
+  if (queryFilters.showingFaves) {
+    params.set("faves", "true");
+  }
+
+  if (!includeListFilters && queryFilters.selectedTag != null) {
+    params.set("tag", String(queryFilters.selectedTag));
+  }
+
+  if (includeListFilters) {
+    for (const option of LIST_TAG_MODES) {
+      if (state[option.stateKey].length > 0) {
+        params.set(option.param, state[option.stateKey].join(","));
+      }
+    }
+
+    if (state.debouncedListTextSearch) {
+      params.set("q", state.debouncedListTextSearch);
+    }
+
+    const genre = state.genreById.get(state.listGenreId);
+    if (genre) {
+      params.set("genre_tags", getGenreTagIds(genre).join(","));
+    }
+
+    if (state.listCapPerArtist) {
+      params.set("cap", String(URL_CAP));
+    }
+
+    // Stars only live in this browser, so the route carries a flag and the
+    // catalog gets the ids themselves (see requestCatalog for the API).
+    if (state.listMyStars) {
+      params.set("ids", Array.from(state.stars).join(","));
+    }
+
+    if (state.listSort !== DEFAULT_LIST_SORT) {
+      params.set("sort", state.listSort);
+    }
+  }
+
+  return params;
+}
+
+function ensureListResults(queryFilters) {
+  if (state.loadingUrls !== "loaded") return;
+  // Wait for the tree so a genre link does not flash unfiltered results.
+  if (state.listGenreId && state.loadingGenres === "loading") return;
+
+  const params = getAlbumQueryParams(queryFilters, true).toString();
+  const key = `${params}&seed=${state.shuffleSeed}`;
+  if (state.listCache.key !== key) {
+    state.listCache = {
+      key,
+      params,
+      seed: state.shuffleSeed,
+      status: "loading",
+      loading: false,
+      total: 0,
+      items: [],
+    };
+    resetListPagination();
+    requestListPage();
+    return;
+  }
+
+  const { items, total, loading, status } = state.listCache;
+  if (
+    status === "loaded" &&
+    !loading &&
+    items.length < total &&
+    items.length < state.listVisibleCount
+  ) {
+    requestListPage();
+  }
+}
+
+function requestListPage() {
+  const listCache = state.listCache;
+  if (listCache.loading) return;
+
+  const params = new URLSearchParams(listCache.params);
+  params.set("seed", String(listCache.seed));
+  params.set("offset", String(listCache.items.length));
+  params.set("limit", String(LIST_PAGE_SIZE));
+
+  listCache.loading = true;
+  requestCatalog("albums", params)
+    .then((result) => {
+      const items = Array.isArray(result?.items) ? result.items : [];
+      rememberListings(items);
+      listCache.items = listCache.items.concat(items);
+      listCache.total = Number(result?.total) || 0;
+      listCache.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load albums", error);
+      listCache.status = "error";
+    })
+    .finally(() => {
+      listCache.loading = false;
+      if (state.listCache === listCache) {
+        render();
+      }
+    });
+}
+
+function ensureAlbumView() {
+  const key = state.route.params.urlId || "";
+  if (state.albumView.key === key && state.albumView.status !== "idle") return;
+
+  const urlId = parseMaybeNumber(key);
+  const cached = urlId == null ? null : state.urlById.get(urlId);
+  if (cached || urlId == null) {
+    state.albumView = { key, status: "loaded", item: cached || null };
+    return;
+  }
+
+  if (state.loadingUrls !== "loaded") return;
+
+  const albumView = { key, status: "loading", item: null };
+  state.albumView = albumView;
+
+  requestCatalog("album", { id: urlId })
+    .then((result) => {
+      if (result?.item) rememberListings([result.item]);
+      albumView.item = result?.item || null;
+      albumView.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load album", error);
+      albumView.status = "error";
+    })
+    .finally(() => {
+      if (state.albumView === albumView) {
+        render();
+      }
+    });
+}
+
+function getFacetParams(queryFilters) {
+  if (state.route.path !== "/list") {
+    return getAlbumQueryParams(queryFilters, false);
+  }
+
+  const params = getAlbumQueryParams(queryFilters, true);
+  params.delete("sort");
+  return params;
+}
+
+// Without any filter the counts in tags.json and the license stats are already
+// the facet counts, so only filtered views ask the catalog.
+function ensureFacets(queryFilters) {
+  if (state.loadingUrls !== "loaded") return;
+
+  const key = getFacetParams(queryFilters).toString();
+  if (state.facets.key === key) return;
+
+  const facets = {
+    key,
+    status: key ? "loading" : "idle",
+    total: 0,
+    tagCounts: new Map(),
+    licenseCounts: new Map(),
+  };
+  state.facets = facets;
+  if (!key) return;
+
+  requestCatalog("facets", new URLSearchParams(key))
+    .then((result) => {
+      facets.total = Number(result?.total) || 0;
+      for (const [tagId, count] of Object.entries(result?.tag_counts || {})) {
+        facets.tagCounts.set(Number(tagId), count);
+      }
+      for (const [licenseId, count] of Object.entries(
+        result?.license_counts || {}
+      )) {
+        facets.licenseCounts.set(Number(licenseId), count);
+      }
+      facets.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load facet counts", error);
+      facets.status = "error";
+    })
+    .finally(() => {
+      if (state.facets === facets) {
+        render();
+      }
+    });
+}
+
+function getActiveFacets() {
+  return state.facets.key && state.facets.status === "loaded"
+    ? state.facets
+    : null;
+}
+
+function getTagFacetCount(tag) {
+  const facets = getActiveFacets();
+  return facets ? facets.tagCounts.get(tag.tag_id) || 0 : tag.count;
+}
+
+function getLicenseFacetCount(license) {
+  if (!license) return null;
+  const facets = getActiveFacets();
+  return facets
+    ? facets.licenseCounts.get(license.bc_id) || 0
+    : getLicenseCount(license);
+}
+
+function getAllLicensesFacetCount() {
+  let total = 0;
+  for (const license of LICENSES) {
+    const count = getLicenseFacetCount(license);
+    if (count == null) return null;
+    total += count;
+  }
+  return total;
+}
+
+function ensureListRelatedTags(queryFilters) {
+  if (state.loadingUrls !== "loaded" || !hasListTagFilters()) return;
+
+  const params = getAlbumQueryParams(queryFilters, true);
+  params.delete("sort");
+  params.set("limit", String(RELATED_TAG_COUNT));
+  const key = params.toString();
+  if (state.listRelated.key === key) return;
+
+  const listRelated = { key, status: "loading", items: [] };
+  state.listRelated = listRelated;
+
+  requestCatalog("related", params)
+    .then((result) => {
+      listRelated.items = Array.isArray(result?.items) ? result.items : [];
+      listRelated.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load related tags", error);
+      listRelated.status = "error";
+    })
+    .finally(() => {
+      if (state.listRelated === listRelated) {
+        render();
+      }
+    });
+}
+
+// Related-tag strips are fetched in batches for the chips on screen and kept
+// for the session; the co-occurrence they show does not depend on filters.
+// Each strip costs a co-occurrence scan, so they are only fetched for the tag
+// cards that scroll into view.
+function syncRelatedTagStrips() {
+  if (
+    state.route.path !== "/" ||
+    state.loadingUrls !== "loaded" ||
+    state.loadingTags !== "loaded"
+  ) {
+    teardownRelatedStripObserver();
+    return;
+  }
+
+  if (typeof window.IntersectionObserver !== "function") {
+    ensureRelatedTagStrips(
+      getVisibleExplorerTags()
+        .slice(0, RELATED_STRIP_BATCH_SIZE)
+        .map((tag) => tag.tag_id)
+    );
+    return;
+  }
+
+  if (!state.relatedStripObserver) {
+    state.relatedStripObserver = new IntersectionObserver(
+      (entries) => {
+        ensureRelatedTagStrips(
+          entries
+            .filter((entry) => entry.isIntersecting)
+            .map((entry) => Number(entry.target.dataset.tagId))
+        );
+      },
+      { root: null, rootMargin: "200px 0px" }
+    );
+  }
+
+  for (const card of appEl.querySelectorAll(".tag-card[data-tag-id]")) {
+    if (state.relatedStripCards.has(card)) continue;
+    state.relatedStripCards.add(card);
+    state.relatedStripObserver.observe(card);
+  }
+}
+
+function teardownRelatedStripObserver() {
+  if (!state.relatedStripObserver) return;
+  state.relatedStripObserver.disconnect();
+  state.relatedStripObserver = null;
+  state.relatedStripCards = new WeakSet();
+}
+
+function ensureRelatedTagStrips(tagIds) {
+  const missingTagIds = tagIds.filter(
+    (tagId) =>
+      Number.isFinite(tagId) &&
+      !state.relatedTagsById.has(tagId) &&
+      !state.relatedTagsPending.has(tagId)
+  );
+
+  for (let i = 0; i < missingTagIds.length; i += RELATED_STRIP_BATCH_SIZE) {
+    const batch = missingTagIds.slice(i, i + RELATED_STRIP_BATCH_SIZE);
+    batch.forEach((tagId) => state.relatedTagsPending.add(tagId));
+
+    requestCatalog("related", {
+      for: batch.join(","),
+      limit: RELATED_STRIP_SIZE,
+    })
+      .then((result) => {
+        for (const tagId of batch) {
+          const items = result?.items?.[String(tagId)];
+          state.relatedTagsById.set(tagId, Array.isArray(items) ? items : []);
+        }
+      })
+      .catch((error) => console.error("Failed to load related tags", error))
+      .finally(() => {
+        batch.forEach((tagId) => state.relatedTagsPending.delete(tagId));
+        if (state.route.path === "/") {
+          render();
+        }
+      });
+  }
+}
+
+function ensureTagGraph() {
+  const graph = state.graph;
+  if (
+    graph.status !== "idle" ||
+    state.loadingTags !== "loaded" ||
+    state.loadingUrls !== "loaded"
+  ) {
+    return;
+  }
+
+  graph.status = "loading";
+  const tags = state.tags
+    .slice()
+    .sort((a, b) => b.count - a.count)
+    .slice(0, GRAPH_TAG_COUNT);
+
+  requestCatalog("related", {
+    for: tags.map((tag) => tag.tag_id).join(","),
+    limit: GRAPH_EDGES_PER_TAG,
+  })
+    .then((result) => {
+      const { nodes, edges } = buildTagGraph(tags, result?.items || {});
+      layoutTagGraph(nodes, edges);
+      graph.nodes = nodes;
+      graph.nodeById = new Map(nodes.map((node) => [node.tag_id, node]));
+      graph.edges = edges;
+      graph.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to build tag graph", error);
+      graph.status = "error";
+    })
+    .finally(() => {
+      if (state.route.path === "/graph") {
+        render();
+      }
+    });
+}
+
+function buildTagGraph(tags, relatedById) {
+  const maxCount = Math.max(1, ...tags.map((tag) => tag.count));
+  const nodes = tags.map((tag) => ({
+    tag_id: tag.tag_id,
+    name: tag.name,
+    count: tag.count,
+    r: Math.round(
+      GRAPH_MIN_RADIUS +
+        (GRAPH_MAX_RADIUS - GRAPH_MIN_RADIUS) * Math.sqrt(tag.count / maxCount)
+    ),
+  }));
+
+  const tagIds = new Set(nodes.map((node) => node.tag_id));
+  const edgesByKey = new Map();
+  for (const node of nodes) {
+    for (const entry of relatedById[String(node.tag_id)] || []) {
+      if (!tagIds.has(entry.tag_id)) continue;
+
+      const source = Math.min(node.tag_id, entry.tag_id);
+      const target = Math.max(node.tag_id, entry.tag_id);
+      edgesByKey.set(`${source}-${target}`, { source, target, count: entry.count });
+    }
+  }
+
+  return { nodes, edges: Array.from(edgesByKey.values()) };
+}
+
+// A plain force simulation run to rest before the first paint: every node
+// pushes the others away, edges pull tags that share many albums together,
+// and a weak pull to the middle keeps loose tags in view. Nodes start on a
+// spiral so the same data always settles into the same picture.
+function layoutTagGraph(nodes, edges) {
+  const nodeById = new Map(nodes.map((node) => [node.tag_id, node]));
+  const maxEdgeCount = Math.max(1, ...edges.map((edge) => edge.count));
+
+  nodes.forEach((node, index) => {
+    const angle = index * 2.39996;
+    const radius = 20 * Math.sqrt(index + 1);
+    node.x = Math.cos(angle) * radius;
+    node.y = Math.sin(angle) * radius;
+    node.vx = 0;
+    node.vy = 0;
+  });
+
+  for (let step = 0; step < GRAPH_LAYOUT_STEPS; step += 1) {
+    const cooling = 1 - step / GRAPH_LAYOUT_STEPS;
+
+    for (let i = 0; i < nodes.length; i += 1) {
+      for (let j = i + 1; j < nodes.length; j += 1) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const dx = b.x - a.x || 0.01;
+        const dy = b.y - a.y || 0.01;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        let force = GRAPH_REPULSION / (distance * distance);
+        const minDistance = a.r + b.r + 6;
+        if (distance < minDistance) {
+          force += (minDistance - distance) / 2;
+        }
+        const fx = (dx / distance) * force;
+        const fy = (dy / distance) * force;
+        a.vx -= fx;
+        a.vy -= fy;
+        b.vx += fx;
+        b.vy += fy;
+      }
+    }
+
+    for (const edge of edges) {
+      const a = nodeById.get(edge.source);
+      const b = nodeById.get(edge.target);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const strength =
+        GRAPH_SPRING_STRENGTH * (0.3 + (0.7 * edge.count) / maxEdgeCount);
+      const force = (distance - GRAPH_SPRING_LENGTH - a.r - b.r) * strength;
+      const fx = (dx / distance) * force;
+      const fy = (dy / distance) * force;
+      a.vx += fx;
+      a.vy += fy;
+      b.vx -= fx;
+      b.vy -= fy;
+    }
+
+    for (const node of nodes) {
+      node.vx = (node.vx - node.x * GRAPH_GRAVITY) * GRAPH_DAMPING;
+      node.vy = (node.vy - node.y * GRAPH_GRAVITY) * GRAPH_DAMPING;
+      const speed = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
+      const maxStep = GRAPH_MAX_STEP * cooling;
+      const scale = speed > maxStep ? maxStep / speed : 1;
+      node.x += node.vx * scale;
+      node.y += node.vy * scale;
+    }
+  }
+
+  fitTagGraph(nodes);
+}
+
+function fitTagGraph(nodes) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const node of nodes) {
+    minX = Math.min(minX, node.x - node.r);
+    maxX = Math.max(maxX, node.x + node.r);
+    minY = Math.min(minY, node.y - node.r);
+    maxY = Math.max(maxY, node.y + node.r);
+  }
+
+  const scale = Math.min(
+    (GRAPH_WIDTH - GRAPH_PADDING * 2) / Math.max(maxX - minX, 1),
+    (GRAPH_HEIGHT - GRAPH_PADDING * 2) / Math.max(maxY - minY, 1)
+  );
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  for (const node of nodes) {
+    node.x = Math.round((node.x - centerX) * scale);
+    node.y = Math.round((node.y - centerY) * scale);
+    delete node.vx;
+    delete node.vy;
+  }
+}
+
+function getDefaultGraphView() {
+  return { x: GRAPH_WIDTH / 2, y: GRAPH_HEIGHT / 2, scale: 1 };
+}
+
+function getGraphTransform() {
+  const view = state.graph.view;
+  return `translate(${view.x.toFixed(1)} ${view.y.toFixed(1)}) scale(${view.scale.toFixed(3)})`;
+}
+
+// Pans and zooms touch only the viewport transform; a full render would
+// rebuild every node on each pointer move.
+function applyGraphView() {
+  const viewport = document.getElementById("tag-graph-viewport");
+  if (viewport) {
+    viewport.setAttribute("transform", getGraphTransform());
+  }
+}
+
+function zoomGraph(factor, originX, originY) {
+  const view = state.graph.view;
+  const scale = Math.min(
+    GRAPH_MAX_SCALE,
+    Math.max(GRAPH_MIN_SCALE, view.scale * factor)
+  );
+  const ratio = scale / view.scale;
+  view.x = originX - (originX - view.x) * ratio;
+  view.y = originY - (originY - view.y) * ratio;
+  view.scale = scale;
+  applyGraphView();
+}
+
+function findGraphNode(search) {
+  const query = String(search || "").trim().toLowerCase();
+  if (!query) return null;
+
+  const nodes = state.graph.nodes;
+  return (
+    nodes.find((node) => node.name.toLowerCase() === query) ||
+    nodes.find((node) => node.name.toLowerCase().startsWith(query)) ||
+    nodes.find((node) => node.name.toLowerCase().includes(query)) ||
+    null
+  );
+}
+
+function focusGraphNode(node) {
+  state.graph.focusId = node ? node.tag_id : null;
+  if (!node) return;
+
+  const view = state.graph.view;
+  view.scale = Math.max(view.scale, GRAPH_FOCUS_SCALE);
+  view.x = GRAPH_WIDTH / 2 - node.x * view.scale;
+  view.y = GRAPH_HEIGHT / 2 - node.y * view.scale;
+}
+
+function getGraphNeighborIds(tagId) {
+  const neighborIds = new Set();
+  if (tagId == null) return neighborIds;
+
+  for (const edge of state.graph.edges) {
+    if (edge.source === tagId) neighborIds.add(edge.target);
+    if (edge.target === tagId) neighborIds.add(edge.source);
+  }
+  return neighborIds;
+}
+
+// Converts client pixels into viewBox units, which differ whenever the SVG is
+// scaled to fit the page.
+function getGraphPoint(svg, clientX, clientY) {
+  const rect = svg.getBoundingClientRect();
+  return {
+    x: ((clientX - rect.left) * GRAPH_WIDTH) / (rect.width || GRAPH_WIDTH),
+    y: ((clientY - rect.top) * GRAPH_HEIGHT) / (rect.height || GRAPH_HEIGHT),
+  };
+}
+
+function handleGraphWheel(event) {
+  const svg = event.target.closest?.(".tag-graph__canvas");
+  if (!svg) return;
+
+  event.preventDefault();
+  const point = getGraphPoint(svg, event.clientX, event.clientY);
+  zoomGraph(event.deltaY < 0 ? 1.1 : 1 / 1.1, point.x, point.y);
+}
+
+function handleGraphPointerDown(event) {
+  const svg = event.target.closest?.(".tag-graph__canvas");
+  if (!svg || event.button !== 0) {
+    state.graphPan = null;
+    return;
+  }
+
+  state.graphPan = {
+    svg,
+    startX: event.clientX,
+    startY: event.clientY,
+    viewX: state.graph.view.x,
+    viewY: state.graph.view.y,
+    active: true,
+    moved: false,
+  };
+}
+
+function handleGraphPointerMove(event) {
+  const pan = state.graphPan;
+  if (!pan?.active) return;
+
+  const dx = event.clientX - pan.startX;
+  const dy = event.clientY - pan.startY;
+  if (!pan.moved && Math.hypot(dx, dy) < GRAPH_DRAG_THRESHOLD) return;
+
+  pan.moved = true;
+  const rect = pan.svg.getBoundingClientRect();
+  state.graph.view.x = pan.viewX + (dx * GRAPH_WIDTH) / (rect.width || GRAPH_WIDTH);
+  state.graph.view.y =
+    pan.viewY + (dy * GRAPH_HEIGHT) / (rect.height || GRAPH_HEIGHT);
+  applyGraphView();
+}
+
+function handleGraphPointerUp() {
+  if (state.graphPan) {
+    state.graphPan.active = false;
+  }
+}
+
+function ensureArtistView() {
+  if (state.loadingUrls !== "loaded") return;
+
+  const key = state.route.params.subdomain || "";
+  if (state.artistView.key === key) return;
+
+  const artistView = {
+    key,
+    status: "loading",
+    data: null,
+    visibleCount: LIST_PAGE_SIZE,
+  };
+  state.artistView = artistView;
+
+  requestCatalog("artist", { name: key })
+    .then((result) => {
+      rememberListings(Array.isArray(result?.items) ? result.items : []);
+      artistView.data = {
+        artist: result?.artist || key,
+        total: Number(result?.total) || 0,
+        license_counts: result?.license_counts || {},
+        top_tags: Array.isArray(result?.top_tags) ? result.top_tags : [],
+        items: Array.isArray(result?.items) ? result.items : [],
+      };
+      artistView.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load artist", error);
+      artistView.status = "error";
+    })
+    .finally(() => {
+      if (state.artistView === artistView) {
+        render();
+      }
+    });
+}
+
+function getArtistDirectoryLetter() {
+  const letter = String(state.route.query.get("letter") || "").toUpperCase();
+  return ARTIST_DIRECTORY_LETTERS.includes(letter) ? letter : "";
+}
+
+function ensureArtistDirectory() {
+  if (state.loadingUrls !== "loaded") return;
+
+  const params = new URLSearchParams();
+  if (state.debouncedArtistSearch) {
+    params.set("q", state.debouncedArtistSearch);
+  }
+  const letter = getArtistDirectoryLetter();
+  if (letter) {
+    params.set("letter", letter);
+  }
+
+  const key = params.toString();
+  if (state.artistDirectory.key === key && state.artistDirectory.status !== "idle") {
+    return;
+  }
+
+  state.artistDirectory = {
+    key,
+    status: "loading",
+    loading: false,
+    total: 0,
+    letterCounts: state.artistDirectory.letterCounts,
+    items: [],
+  };
+  requestArtistDirectoryPage();
+}
+
+function requestArtistDirectoryPage() {
+  const directory = state.artistDirectory;
+  if (directory.loading) return;
+
+  const params = new URLSearchParams(directory.key);
+  params.set("offset", String(directory.items.length));
+  params.set("limit", String(ARTIST_DIRECTORY_PAGE_SIZE));
+
+  directory.loading = true;
+  requestCatalog("artists", params)
+    .then((result) => {
+      const items = Array.isArray(result?.items) ? result.items : [];
+      directory.items = directory.items.concat(items);
+      directory.total = Number(result?.total) || 0;
+      directory.letterCounts = result?.letter_counts || {};
+      directory.status = "loaded";
+    })
+    .catch((error) => {
+      console.error("Failed to load artists", error);
+      directory.status = "error";
+    })
+    .finally(() => {
+      directory.loading = false;
+      if (state.artistDirectory === directory) {
+        render();
+      }
+    });
+}
+
+function resetListPagination() {
+  state.listVisibleCount = state.scrollRestore?.visibleCount || LIST_BATCH_SIZE;
+}
+
+function getDisplayedListings() {
+  const listCache = state.listCache;
+  return listCache.items.slice(0, Math.min(state.listVisibleCount, listCache.total));
+}
+
+// Short lists render every card; longer ones only mount the cards around the
+// viewport, using measured heights where known and an estimate elsewhere.
+function getListWindow(listings) {
+  if (listings.length <= LIST_WINDOW_THRESHOLD) {
+    return { start: 0, end: listings.length };
+  }
+
+  const grid = appEl?.querySelector(".album-grid");
+  if (!grid) {
+    return { start: 0, end: Math.min(listings.length, LIST_WINDOW_THRESHOLD) };
+  }
+
+  const gridTop = grid.getBoundingClientRect().top + window.scrollY;
+  const viewTop = window.scrollY - gridTop;
+  const viewBottom = viewTop + window.innerHeight;
+
+  // offsets[i] is the top of card i, so the bottom of card i - 1 is
+  // offsets[i] minus the gap.
+  const offsets = getListOffsets(listings);
+  const start = Math.min(
+    listings.length,
+    Math.max(
+      0,
+      searchListOffsets(offsets, (offset) => offset - LIST_CARD_GAP >= viewTop) - 1
+    )
+  );
+  const end = Math.min(
+    listings.length,
+    searchListOffsets(offsets, (offset) => offset > viewBottom)
+  );
+
+  return {
+    start: Math.max(0, Math.min(start, end - 1) - LIST_WINDOW_OVERSCAN),
+    end: Math.min(listings.length, end + LIST_WINDOW_OVERSCAN),
+  };
+}
 
-  if (queryFilters.selectedLicense != null) {
-    filtered = filtered.filter((urlListing) => {
-      return urlListing.license === queryFilters.selectedLicense;
-    });
+// Cumulative card offsets, rebuilt only when the loaded listings or a
+// measured height change rather than on every scroll frame.
+function getListOffsets(listings) {
+  const cached = state.listOffsets;
+  if (
+    cached.items === state.listCache.items &&
+    cached.count === listings.length &&
+    cached.heightsVersion === state.listHeightsVersion
+  ) {
+    return cached.offsets;
   }
 
-  if (queryFilters.selectedTag != null) {
-    filtered = filtered.filter((urlListing) => {
-      return (urlListing.tags || []).includes(queryFilters.selectedTag);
-    });
+  const offsets = [0];
+  for (let i = 0; i < listings.length; i++) {
+    offsets.push(offsets[i] + getListCardHeight(listings[i]) + LIST_CARD_GAP);
   }
+  state.listOffsets = {
+    items: state.listCache.items,
+    count: listings.length,
+    heightsVersion: state.listHeightsVersion,
+    offsets,
+  };
+  return offsets;
+}
 
-  if (queryFilters.showingFaves) {
-    filtered = filtered.filter((urlListing) => Boolean(urlListing.favorite));
+function searchListOffsets(offsets, test) {
+  let low = 0;
+  let high = offsets.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (test(offsets[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
   }
+  return low;
+}
 
-  return filtered;
+function getListCardHeight(listing) {
+  return state.listCardHeights.get(listing.url_id) || LIST_CARD_ESTIMATED_HEIGHT;
 }
 
-function getShuffledUrls(filteredUrls, queryFilters) {
-  const licenseSelection = queryFilters?.selectedLicenseSelection || "";
-  const key = `${state.route.path}?${state.route.query.toString()}&__lic=${licenseSelection}&__txt=${state.debouncedListTextSearch}&__tags=${state.listSelectedTagIds.join(",")}&__cap=${state.listCapPerArtist}`;
+function measureListCards() {
+  if (state.route.path !== "/list") return;
 
-  if (state.listCache.key !== key) {
-    state.listCache.key = key;
-    state.listCache.shuffled = filteredUrls.slice();
-    shuffleInPlace(state.listCache.shuffled);
-    resetListPagination();
+  for (const card of appEl.querySelectorAll(".album-grid > .album-card")) {
+    const urlId = Number(String(card.dataset.key).replace("album-", ""));
+    const height = card.offsetHeight;
+    if (
+      Number.isFinite(urlId) &&
+      height > 0 &&
+      state.listCardHeights.get(urlId) !== height
+    ) {
+      state.listCardHeights.set(urlId, height);
+      state.listHeightsVersion += 1;
+    }
   }
+}
+
+function scheduleListWindowUpdate() {
+  if (state.route.path !== "/list" || state.listWindowFrame != null) return;
+
+  state.listWindowFrame = window.requestAnimationFrame(() => {
+    state.listWindowFrame = null;
+    const listings = getDisplayedListings();
+    if (listings.length <= LIST_WINDOW_THRESHOLD) return;
 
-  return state.listCache.shuffled;
+    const { start, end } = getListWindow(listings);
+    if (start !== state.listWindow.start || end !== state.listWindow.end) {
+      patchListWindow(listings, start, end);
+    }
+  });
 }
 
-function resetListPagination() {
-  state.listVisibleCount = LIST_BATCH_SIZE;
+// Scrolling only moves the window, so patch the grid instead of rendering the
+// whole page.
+function patchListWindow(listings, start, end) {
+  const grid = appEl.querySelector(".album-grid");
+  if (!grid) return;
+
+  state.listWindow = { start, end };
+  const queryFilters = getQueryFilters(state.route.query);
+  grid.setAttribute("style", getListWindowPadding(listings, start, end));
+  patchHtml(grid, renderListWindowCards(listings, start, end, queryFilters));
+  measureListCards();
 }
 
 function supportsListObserver() {
@@ -1381,12 +5056,13 @@ function supportsListObserver() {
 }
 
 function getCurrentListTotal() {
-  return state.listCache.shuffled.length;
+  return state.listCache.total;
 }
 
 function loadNextListBatch() {
   const total = getCurrentListTotal();
   if (total === 0 || state.listVisibleCount >= total) return;
+  if (state.listVisibleCount > state.listCache.items.length) return;
 
   state.listVisibleCount = Math.min(
     state.listVisibleCount + LIST_BATCH_SIZE,
@@ -1425,26 +5101,38 @@ function syncListAutoLoad() {
   state.listObserver.observe(sentinel);
 }
 
-function shuffleInPlace(list) {
-  for (let i = list.length - 1; i > 0; i--) {
-    const randomIndex = Math.floor(Math.random() * (i + 1));
-    [list[i], list[randomIndex]] = [list[randomIndex], list[i]];
+function getRandomPoolCount() {
+  if (state.loadingUrls !== "loaded") return null;
+  if (state.route.path === "/list") {
+    return state.listCache.status === "loaded" ? state.listCache.total : null;
+  }
+
+  // Elsewhere random picks use the route's license, tag and favorite filters,
+  // and the facets for the same filters carry their match count.
+  if (!getFacetParams(getQueryFilters(state.route.query)).toString()) {
+    return state.catalogTotal;
   }
+  const facets = getActiveFacets();
+  return facets ? facets.total : null;
 }
 
-function getRandomButtonLabel(queryFilters, queryFilteredUrls) {
+function getRandomButtonLabel(queryFilters, matchCount) {
   if (state.loadingUrls !== "loaded") {
     return "Loading catalog...";
   }
 
-  if (queryFilteredUrls.length === 0) {
+  if (matchCount === 0) {
     return "No matching albums";
   }
 
-  if (queryFilteredUrls.length === state.urls.length) {
+  if (matchCount == null || matchCount === state.catalogTotal) {
     return "Open a random album";
   }
 
+  if (state.route.path === "/list" && hasListTagFilters()) {
+    return `Open random \"${describeListTagFilter()}\" album`;
+  }
+
   if (queryFilters.selectedTag != null) {
     const tag = state.tagById.get(queryFilters.selectedTag);
     if (tag) {
@@ -1463,22 +5151,592 @@ function getRandomButtonLabel(queryFilters, queryFilteredUrls) {
     return "Open random favorite album";
   }
 
+  if (state.route.path === "/list" && state.listMyStars) {
+    return "Open random starred album";
+  }
+
   return "Open random filtered album";
 }
 
-function collapseUrls(urls, limit = 5) {
-  const bandcampSubdomainRegex = /^https?:\/\/(.+)\.bandcamp\.com/i;
-  const counts = Object.create(null);
+// Builds a TASL credit (title, author, source, license). Bandcamp subdomains
+// stand in for the artist name, which urls.json does not carry.
+function getAttributionText(listing, format) {
+  const license = licenseById.get(listing?.license);
+  if (!license) return null;
+
+  const artist = Catalog.getArtistSubdomain(listing.url);
+  const artistUrl = artist ? `https://${artist}.bandcamp.com` : null;
+  const licenseLabel = `CC ${license.name.toUpperCase()} 3.0`;
+
+  if (format === "html") {
+    const author = artist
+      ? ` by <a href="${escapeHtml(artistUrl)}">${escapeHtml(artist)}</a>`
+      : "";
+    return `<a href="${escapeHtml(listing.url)}">${escapeHtml(
+      listing.title
+    )}</a>${author} is licensed under <a href="${escapeHtml(
+      license.url
+    )}">${licenseLabel}</a>.`;
+  }
+
+  if (format === "markdown") {
+    const author = artist
+      ? ` by [${escapeMarkdown(artist)}](${artistUrl})`
+      : "";
+    return `[${escapeMarkdown(listing.title)}](${listing.url})${author} is licensed under [${licenseLabel}](${license.url}).`;
+  }
+
+  const author = artist ? ` by ${artist}` : "";
+  return `"${listing.title}"${author} (${listing.url}) is licensed under ${licenseLabel} (${license.url}).`;
+}
+
+function getAttributionWarnings(listing) {
+  const licenseName = getLicenseNameById(listing?.license);
+  if (!licenseName) return [];
+
+  return licenseName
+    .split("-")
+    .filter((token) => ATTRIBUTION_WARNINGS[token])
+    .map((token) => ATTRIBUTION_WARNINGS[token]);
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? "").replace(/([\\`*_[\]()<>])/g, "\\$1");
+}
+
+function loadStars() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STARS_STORAGE_KEY));
+    return new Set(
+      Array.isArray(stored) ? stored.filter((urlId) => Number.isInteger(urlId)) : []
+    );
+  } catch (error) {
+    console.error("Failed to read stars", error);
+    return new Set();
+  }
+}
+
+function saveStars() {
+  try {
+    window.localStorage.setItem(
+      STARS_STORAGE_KEY,
+      JSON.stringify(Array.from(state.stars))
+    );
+  } catch (error) {
+    console.error("Failed to save stars", error);
+  }
+}
+
+function playListing(listing, { fromRadio = false } = {}) {
+  state.playerData = getPlayerData(listing);
+  recordPlay(listing);
+  if (!fromRadio) restartRadioForManualPick();
+  if (state.route.path === "/") {
+    render();
+  } else {
+    syncPlayer();
+  }
+}
+
+function playQueueIndex(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= state.queue.length) return;
+
+  state.queueIndex = index;
+  playListing(state.queue[index]);
+  refillQueue();
+}
+
+// Playing from a result list queues that list from the chosen album on;
+// anything else is slotted in right after the current album.
+function seedQueue(listing) {
+  const listings = getPlayableListings();
+  const listIndex = listings.findIndex((item) => item.url_id === listing.url_id);
+  if (listIndex !== -1) {
+    state.queue = listings.slice();
+    state.queueIndex = listIndex;
+    state.queueSource = getQueueSource(listings);
+    refillQueue();
+    return;
+  }
+
+  const queuedIndex = state.queue.findIndex((item) => item.url_id === listing.url_id);
+  if (queuedIndex !== -1) {
+    state.queueIndex = queuedIndex;
+    return;
+  }
+
+  state.queue.splice(state.queueIndex + 1, 0, listing);
+  state.queueIndex += 1;
+}
+
+// Results only hold the pages loaded so far, so a queue seeded from them keeps
+// the query and pages in the rest as playback nears the end.
+function getQueueSource(listings) {
+  const listCache = state.listCache;
+  if (state.route.path !== "/list" || listings !== listCache.items) return null;
+  if (listings.length >= listCache.total) return null;
+
+  return {
+    params: listCache.params,
+    seed: listCache.seed,
+    offset: listings.length,
+    total: listCache.total,
+    pending: null,
+  };
+}
+
+function hasMoreQueueSource() {
+  const source = state.queueSource;
+  return Boolean(source && source.offset < source.total);
+}
+
+function refillQueue() {
+  const source = state.queueSource;
+  if (!hasMoreQueueSource()) return Promise.resolve();
+  if (source.pending) return source.pending;
+  if (state.queue.length - state.queueIndex - 1 > QUEUE_REFILL_THRESHOLD) {
+    return Promise.resolve();
+  }
+
+  const params = new URLSearchParams(source.params);
+  params.set("seed", String(source.seed));
+  params.set("offset", String(source.offset));
+  params.set("limit", String(LIST_PAGE_SIZE));
+
+  source.pending = requestCatalog("albums", params)
+    .then((result) => {
+      const items = Array.isArray(result?.items) ? result.items : [];
+      rememberListings(items);
+      source.offset += items.length;
+      source.total = items.length > 0 ? Number(result?.total) || 0 : source.offset;
+      if (state.queueSource !== source) return;
+
+      const queuedIds = new Set(state.queue.map((item) => item.url_id));
+      state.queue.push(...items.filter((item) => !queuedIds.has(item.url_id)));
+    })
+    .catch((error) => {
+      console.error("Failed to load more albums for the queue", error);
+      source.total = source.offset;
+    })
+    .finally(() => {
+      source.pending = null;
+      if (state.queueSource === source) syncPlayer();
+    });
+
+  return source.pending;
+}
+
+function getPlayableListings() {
+  if (state.route.path === "/list") {
+    return state.listCache.items;
+  }
+
+  if (state.route.path === "/artist" && state.artistView.data) {
+    return state.artistView.data.items;
+  }
+
+  return [];
+}
+
+function getPlayerData(listing) {
+  return {
+    title: listing.title,
+    url: listing.url,
+    bc_id: listing.bc_id,
+  };
+}
+
+function recordPlay(listing) {
+  const entry = {
+    url_id: listing.url_id,
+    title: listing.title,
+    url: listing.url,
+    bc_id: listing.bc_id,
+    license: listing.license,
+    played_at: new Date().toISOString(),
+    route: window.location.hash || "#/",
+    filters: describeActiveFilters(),
+  };
+
+  state.history = [
+    entry,
+    ...state.history.filter((item) => item.url_id !== listing.url_id),
+  ].slice(0, HISTORY_LIMIT);
+  saveHistory();
+  markSessionPlayed(listing);
+}
+
+function markSessionPlayed(listing) {
+  state.sessionPlayedIds.delete(listing.url_id);
+  state.sessionPlayedIds.add(listing.url_id);
+  try {
+    window.sessionStorage.setItem(
+      SESSION_PLAYED_STORAGE_KEY,
+      JSON.stringify(Array.from(state.sessionPlayedIds))
+    );
+  } catch (error) {
+    console.error("Failed to save session plays", error);
+  }
+}
+
+function describeActiveFilters() {
+  const queryFilters = getQueryFilters(state.route.query);
+  const parts = [];
+
+  if (queryFilters.selectedLicenseCode) {
+    parts.push(queryFilters.selectedLicenseCode);
+  }
+
+  if (state.route.path === "/list") {
+    if (hasListTagFilters()) parts.push(`"${describeListTagFilter()}"`);
+    if (state.debouncedListTextSearch) {
+      parts.push(`search "${state.debouncedListTextSearch}"`);
+    }
+    if (state.listMyStars) parts.push("my stars");
+    const genre = state.genreById.get(state.listGenreId);
+    if (genre) parts.push(genre.name);
+  } else if (queryFilters.selectedTag != null) {
+    const tag = state.tagById.get(queryFilters.selectedTag);
+    if (tag) parts.push(`"${tag.name}"`);
+  }
+
+  if (queryFilters.showingFaves) parts.push("favorites");
+
+  if (state.route.path === "/artist") {
+    parts.push(state.route.params.subdomain);
+  }
+
+  return parts.join(" · ");
+}
+
+function loadBannedArtists() {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(BANNED_ARTISTS_STORAGE_KEY)
+    );
+    return new Set(
+      Array.isArray(stored) ? stored.filter((artist) => typeof artist === "string") : []
+    );
+  } catch (error) {
+    console.error("Failed to read banned artists", error);
+    return new Set();
+  }
+}
+
+function saveBannedArtists() {
+  try {
+    window.localStorage.setItem(
+      BANNED_ARTISTS_STORAGE_KEY,
+      JSON.stringify(Array.from(state.bannedArtists))
+    );
+  } catch (error) {
+    console.error("Failed to save banned artists", error);
+  }
+}
+
+function loadHistory() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter((entry) => entry?.bc_id && entry.url).slice(0, HISTORY_LIMIT)
+      : [];
+  } catch (error) {
+    console.error("Failed to read listening history", error);
+    return [];
+  }
+}
+
+function saveHistory() {
+  try {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(state.history));
+  } catch (error) {
+    console.error("Failed to save listening history", error);
+  }
+}
+
+function loadSessionPlayedIds() {
+  try {
+    const stored = JSON.parse(
+      window.sessionStorage.getItem(SESSION_PLAYED_STORAGE_KEY)
+    );
+    return new Set(
+      Array.isArray(stored) ? stored.filter((urlId) => Number.isInteger(urlId)) : []
+    );
+  } catch (error) {
+    console.error("Failed to read session plays", error);
+    return new Set();
+  }
+}
+
+function loadCrates() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CRATES_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.map(normalizeCrate).filter(Boolean) : [];
+  } catch (error) {
+    console.error("Failed to read crates", error);
+    return [];
+  }
+}
+
+function saveCrates() {
+  try {
+    window.localStorage.setItem(CRATES_STORAGE_KEY, JSON.stringify(state.crates));
+  } catch (error) {
+    console.error("Failed to save crates", error);
+  }
+}
+
+function normalizeCrate(crate) {
+  const name = normalizeCrateName(crate?.name);
+  if (!name || typeof crate.id !== "string") return null;
+
+  return {
+    id: crate.id,
+    name,
+    created_at: crate.created_at || new Date().toISOString(),
+    items: normalizeCrateItems(crate.items),
+  };
+}
+
+function normalizeCrateName(value) {
+  return String(value ?? "")
+    .trim()
+    .slice(0, 80);
+}
+
+// Items are keyed by Bandcamp URL so crates imported from playlists without
+// catalog ids still dedupe against albums added in the app.
+function normalizeCrateItems(items) {
+  const seen = new Set();
+  const normalized = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    const url = String(item?.url || "").trim();
+    if (!/^https?:\/\//i.test(url) || seen.has(url)) continue;
+    seen.add(url);
+
+    const urlId = parseMaybeNumber(item.url_id === "" ? null : item.url_id);
+    const listing = urlId != null ? state.urlById.get(urlId) : null;
+    normalized.push({
+      url_id: urlId,
+      title: String(item.title || listing?.title || ""),
+      url,
+      bc_id: item.bc_id ?? listing?.bc_id ?? null,
+      license: parseMaybeNumber(item.license) ?? listing?.license ?? null,
+      tags: Array.isArray(item.tags) ? item.tags : listing?.tags || [],
+      added_at: item.added_at || new Date().toISOString(),
+    });
+  }
+  return normalized;
+}
+
+function createCrate(name, items) {
+  const crate = {
+    id: `crate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    created_at: new Date().toISOString(),
+    items: normalizeCrateItems(items),
+  };
+  state.crates.push(crate);
+  return crate;
+}
+
+function findCrate(crateId) {
+  return state.crates.find((crate) => crate.id === crateId) || null;
+}
+
+function getCrateItem(listing) {
+  return {
+    url_id: listing.url_id,
+    title: listing.title,
+    url: listing.url,
+    bc_id: listing.bc_id,
+    license: listing.license,
+    tags: listing.tags || [],
+    added_at: new Date().toISOString(),
+  };
+}
+
+function getCrateExportRow(item) {
+  const license = licenseById.get(item.license);
+  return {
+    url_id: item.url_id ?? "",
+    title: item.title,
+    artist: Catalog.getArtistSubdomain(item.url) || "",
+    url: item.url,
+    bc_id: item.bc_id ?? "",
+    license: license?.name || "",
+    license_url: license?.url || "",
+    tags: (item.tags || [])
+      .map((tagId) => state.tagById.get(tagId)?.name || `tag:${tagId}`)
+      .join("; "),
+    attribution: getAttributionText(item, "plain") || "",
+    added_at: item.added_at || "",
+  };
+}
+
+function serializeCrate(crate, format) {
+  const rows = crate.items.map(getCrateExportRow);
+
+  if (format === "csv") {
+    return [CRATE_CSV_COLUMNS, ...rows.map((row) => CRATE_CSV_COLUMNS.map((key) => row[key]))]
+      .map((fields) => fields.map(toCsvField).join(","))
+      .join("\r\n");
+  }
+
+  if (format === "m3u") {
+    const lines = ["#EXTM3U", `#PLAYLIST:${crate.name}`];
+    for (const row of rows) {
+      lines.push(`#EXTINF:-1,${row.artist ? `${row.artist} - ` : ""}${row.title}`);
+      if (row.license) lines.push(`# License: ${row.license} ${row.license_url}`);
+      if (row.attribution) lines.push(`# Attribution: ${row.attribution}`);
+      lines.push(row.url);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return JSON.stringify(
+    {
+      name: crate.name,
+      exported_at: new Date().toISOString(),
+      items: crate.items.map((item, index) => ({
+        ...item,
+        license_name: rows[index].license,
+        license_url: rows[index].license_url,
+        attribution: rows[index].attribution,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function parseCrateImport(text, fileName) {
+  const baseName = normalizeCrateName(String(fileName || "").replace(/\.[^.]+$/, ""));
+  const trimmed = String(text || "").trim();
 
-  return urls.filter((urlListing) => {
-    const match = String(urlListing.url || "").match(bandcampSubdomainRegex);
-    if (!match) return false;
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const data = JSON.parse(trimmed);
+    const items = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(items)) throw new Error("JSON has no items list");
+    return { name: normalizeCrateName(data?.name) || baseName || "Imported", items };
+  }
+
+  if (trimmed.startsWith("#EXTM3U") || /\.m3u8?$/i.test(fileName || "")) {
+    let name = baseName;
+    let title = "";
+    let license = null;
+    const items = [];
+    for (const line of trimmed.split(/\r?\n/)) {
+      const value = line.trim();
+      if (value.startsWith("#PLAYLIST:")) {
+        name = normalizeCrateName(value.slice("#PLAYLIST:".length)) || name;
+      } else if (value.startsWith("#EXTINF:")) {
+        title = value.slice(value.indexOf(",") + 1).trim();
+      } else if (value.startsWith("# License:")) {
+        const licenseName = value.slice("# License:".length).trim().split(/\s+/)[0];
+        license = licenseByName.get(licenseName.toLowerCase())?.bc_id ?? null;
+      } else if (value && !value.startsWith("#")) {
+        items.push({ url: value, title: stripM3uArtistPrefix(title, value), license });
+        title = "";
+        license = null;
+      }
+    }
+    return { name: name || "Imported", items };
+  }
 
-    const subdomain = match[1].toLowerCase();
-    counts[subdomain] = (counts[subdomain] || 0) + 1;
+  const [header = [], ...records] = parseCsv(trimmed);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  if (!columns.includes("url")) throw new Error("CSV needs a url column");
 
-    return counts[subdomain] <= limit;
+  const items = records.map((fields) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = fields[index] ?? "";
+    });
+    return {
+      url_id: row.url_id,
+      title: row.title,
+      url: row.url,
+      bc_id: row.bc_id || null,
+      license: licenseByName.get(String(row.license).toLowerCase())?.bc_id ?? null,
+      tags: String(row.tags || "")
+        .split(";")
+        .map((tagName) => state.tagByName.get(tagName.trim().toLowerCase())?.tag_id)
+        .filter((tagId) => tagId != null),
+      added_at: row.added_at,
+    };
   });
+  return { name: baseName || "Imported", items };
+}
+
+// The export writes "artist - title" with the url's subdomain as the artist;
+// any other " - " belongs to the title itself.
+function stripM3uArtistPrefix(title, url) {
+  const artist = Catalog.getArtistSubdomain(url);
+  const prefix = artist ? `${artist} - ` : "";
+  return prefix && title.toLowerCase().startsWith(prefix)
+    ? title.slice(prefix.length)
+    : title;
+}
+
+function toCsvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      records.push(fields);
+      fields = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || fields.length > 0) {
+    fields.push(field);
+    records.push(fields);
+  }
+  return records;
+}
+
+function getCrateFileName(name) {
+  return Catalog.tokenizeSearchText(name).join("-") || "crate";
+}
+
+function downloadFile(fileName, mimeType, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 function getLicenseNameById(licenseId) {
@@ -1510,6 +5768,56 @@ function buildListRouteWithQueryPatch(baseQuery, patch) {
   return buildRoute("/list", nextQuery);
 }
 
+function buildAlbumRoute(urlId) {
+  return `#/album/${encodeURIComponent(urlId)}`;
+}
+
+function getAlbumPermalink(urlId) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${buildAlbumRoute(urlId)}`;
+}
+
+function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    return navigator.clipboard.writeText(text);
+  }
+
+  return new Promise((resolve, reject) => {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.remove();
+    if (copied) {
+      resolve();
+    } else {
+      reject(new Error("Copy command was rejected"));
+    }
+  });
+}
+
+function showCopyFeedback(copyKey) {
+  if (state.copiedTimer) {
+    clearTimeout(state.copiedTimer);
+  }
+
+  state.copiedKey = copyKey;
+  state.copiedTimer = setTimeout(() => {
+    state.copiedKey = "";
+    state.copiedTimer = null;
+    render();
+  }, COPY_FEEDBACK_MS);
+  render();
+}
+
+function buildArtistRoute(subdomain) {
+  return `#/artist/${encodeURIComponent(subdomain)}`;
+}
+
 function buildRoute(path, params) {
   const query = new URLSearchParams();
 
@@ -1524,7 +5832,8 @@ function buildRoute(path, params) {
     }
   }
 
-  const queryString = query.toString();
+  // Commas are legal in a query string; keep id lists like `tags=1,54` readable.
+  const queryString = query.toString().replace(/%2C/gi, ",");
   return `#${path}${queryString ? `?${queryString}` : ""}`;
 }
 
@@ -1538,6 +5847,23 @@ function getLicenseCount(license) {
   return null;
 }
 
+function formatTimeAgo(isoTime, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - Date.parse(isoTime)) / 1000));
+  if (!Number.isFinite(seconds)) return "";
+  if (seconds < 60) return "just now";
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days} ${days === 1 ? "day" : "days"} ago`;
+
+  return new Date(isoTime).toLocaleDateString();
+}
+
 function formatCount(value) {
   return Number(value || 0).toLocaleString();
 }
@@ -0,0 +1,75 @@
+// app.js passes the versioned catalog.js it was built against, so a cached
+// catalog cannot answer it with an older set of queries.
+const catalogScript = new URLSearchParams(self.location.search).get("catalog");
+importScripts(
+  /^catalog\.js(\?v=\w+)?$/.test(catalogScript || "")
+    ? catalogScript
+    : "catalog.js"
+);
+
+let catalog = null;
+
+self.addEventListener("message", async (event) => {
+  const { id, type, payload } = event.data || {};
+
+  try {
+    const result = await handleMessage(type, payload || {});
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+});
+
+async function handleMessage(type, payload) {
+  if (type === "load") {
+    const [urls, tags, tagAliases] = await Promise.all([
+      fetchJsonArray(payload.urlPaths || [], "urls.json"),
+      fetchJsonArray(payload.tagPaths || [], "tags.json"),
+      fetchTagAliases(payload.aliasPaths || []),
+    ]);
+    catalog = Catalog.createCatalog(urls, tags, tagAliases);
+    return Catalog.runQuery(catalog, "stats");
+  }
+
+  if (type === "query") {
+    if (!catalog) {
+      throw new Error("Catalog is not loaded");
+    }
+    return Catalog.runQuery(catalog, payload.name, payload.params);
+  }
+
+  throw new Error(`Unknown catalog worker message: ${type}`);
+}
+
+async function fetchJsonArray(paths, fileName) {
+  for (const path of paths) {
+    try {
+      const response = await fetch(path, { cache: "no-cache" });
+      if (!response.ok) continue;
+
+      const data = await response.json();
+      return Array.isArray(data) ? data : [];
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  throw new Error(`Could not load ${fileName}`);
+}
+
+// tag-aliases.json is optional: without it the catalog indexes tags as stored.
+async function fetchTagAliases(paths) {
+  for (const path of paths) {
+    try {
+      const response = await fetch(path, { cache: "no-cache" });
+      if (!response.ok) continue;
+
+      const data = await response.json();
+      return data && typeof data.aliases === "object" ? data.aliases : {};
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  return {};
+}
@@ -0,0 +1,1061 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Catalog = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const LICENSES = [
+    {
+      name: "by-nc-nd",
+      url: "http://creativecommons.org/licenses/by-nc-nd/3.0/",
+      bc_id: 2,
+    },
+    {
+      name: "by-nc-sa",
+      url: "http://creativecommons.org/licenses/by-nc-sa/3.0/",
+      bc_id: 3,
+    },
+    {
+      name: "by-nc",
+      url: "http://creativecommons.org/licenses/by-nc/3.0/",
+      bc_id: 4,
+    },
+    {
+      name: "by-nd",
+      url: "http://creativecommons.org/licenses/by-nd/3.0/",
+      bc_id: 5,
+    },
+    {
+      name: "by-sa",
+      url: "http://creativecommons.org/licenses/by-sa/3.0/",
+      bc_id: 8,
+    },
+    {
+      name: "by",
+      url: "http://creativecommons.org/licenses/by/3.0/",
+      bc_id: 6,
+    },
+  ];
+
+  const DEFAULT_ARTIST_CAP = 10;
+  const RANDOM_ARTIST_CAP = 5;
+  const DEFAULT_PAGE_SIZE = 40;
+  const MAX_PAGE_SIZE = 200;
+  const SHUFFLE_CACHE_SIZE = 8;
+  const SEARCH_TOKEN_CACHE_SIZE = 256;
+  const ARTIST_TOP_TAG_COUNT = 12;
+  const RELATED_TAG_LIMIT = 8;
+  const RELATED_FOR_LIMIT = 100;
+  const RELATED_TAGS_CACHE_SIZE = 256;
+
+  const SEARCH_FIELD_TITLE = 1;
+  const SEARCH_FIELD_ARTIST = 2;
+  const SEARCH_FIELD_TAG = 4;
+  const SEARCH_FIELD_WEIGHTS = [
+    [SEARCH_FIELD_TITLE, 3],
+    [SEARCH_FIELD_ARTIST, 2],
+    [SEARCH_FIELD_TAG, 1],
+  ];
+  const SEARCH_MATCH_EXACT = 1;
+  const SEARCH_MATCH_PREFIX = 0.7;
+  const SEARCH_MATCH_TYPO = 0.5;
+  const MIN_PREFIX_LENGTH = 2;
+  const ARTIST_JOIN_MAX_WORDS = 4;
+  const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+  const FOLDED_LETTERS = {
+    "ß": "ss",
+    "æ": "ae",
+    "œ": "oe",
+    "ø": "o",
+    "ł": "l",
+    "đ": "d",
+    "ð": "d",
+    "þ": "th",
+    "ı": "i",
+  };
+
+  const licenseByName = new Map(
+    LICENSES.map((license) => [license.name, license])
+  );
+  const licenseIds = new Set(LICENSES.map((license) => license.bc_id));
+
+  const DEFAULT_SORT = "shuffle";
+  const textCollator = new Intl.Collator(undefined, {
+    sensitivity: "base",
+    numeric: true,
+  });
+  const SORT_COMPARATORS = {
+    title: (catalog, a, b) =>
+      compareText(catalog.urls[a].title, catalog.urls[b].title),
+    artist: (catalog, a, b) =>
+      compareText(catalog.artistByRow[a], catalog.artistByRow[b]) ||
+      compareText(catalog.urls[a].title, catalog.urls[b].title),
+    tags: (catalog, a, b) =>
+      (catalog.urls[b].tags || []).length - (catalog.urls[a].tags || []).length,
+    bc_id: (catalog, a, b) =>
+      Number(catalog.urls[a].bc_id) - Number(catalog.urls[b].bc_id),
+    favorites: (catalog, a, b) =>
+      Number(Boolean(catalog.urls[b].favorite)) -
+      Number(Boolean(catalog.urls[a].favorite)),
+  };
+
+  const QUERY_HANDLERS = {
+    stats: (catalog) => getCatalogStats(catalog),
+    albums: (catalog, params) => queryAlbums(catalog, params),
+    random: (catalog, params) => ({ item: pickRandomAlbum(catalog, params) }),
+    album: (catalog, params) => ({ item: findAlbum(catalog, params) }),
+    artist: (catalog, params) => getArtistSummary(catalog, params),
+    artists: (catalog, params) => queryArtists(catalog, params),
+    related: (catalog, params) => getRelatedTags(catalog, params),
+    facets: (catalog, params) => getFacetCounts(catalog, params),
+  };
+
+  // Indexes hold ascending row positions into `urls`, so intersecting them
+  // keeps dataset order (the per-artist cap depends on it). `tagAliases` maps a
+  // variant tag id to its canonical tag id (public/tag-aliases.json); variant
+  // rows are indexed under the canonical tag, so data that has not been synced
+  // since an alias was added still filters and counts as merged.
+  function createCatalog(urls, tags, tagAliases) {
+    const rows = Array.isArray(urls) ? urls : [];
+    const canonicalTagIds = parseTagAliases(tagAliases);
+    const tagTermsById = new Map();
+    for (const tag of Array.isArray(tags) ? tags : []) {
+      tagTermsById.set(tag.tag_id, tokenizeSearchText(tag.name));
+    }
+    const searchPostings = new Map();
+    const licenseCounts = new Map();
+    const tagRows = new Map();
+    const licenseRows = new Map();
+    const favoriteRows = [];
+    const artistRows = new Map();
+    const artistByRow = new Array(rows.length);
+    const rowByUrlId = new Map();
+
+    rows.forEach((listing, rowIndex) => {
+      rowByUrlId.set(listing.url_id, rowIndex);
+
+      const licenseId = Number(listing.license);
+      if (Number.isFinite(licenseId)) {
+        licenseCounts.set(licenseId, (licenseCounts.get(licenseId) || 0) + 1);
+        addToIndex(licenseRows, listing.license, rowIndex);
+      }
+
+      for (const tagId of getCanonicalTagIds(canonicalTagIds, listing.tags)) {
+        addToIndex(tagRows, tagId, rowIndex);
+      }
+
+      if (listing.favorite) {
+        favoriteRows.push(rowIndex);
+      }
+
+      const subdomain = getArtistSubdomain(listing.url);
+      artistByRow[rowIndex] = subdomain;
+      if (subdomain) {
+        addToIndex(artistRows, subdomain, rowIndex);
+      }
+
+      addSearchTerms(
+        searchPostings,
+        tokenizeSearchText(listing.title),
+        SEARCH_FIELD_TITLE,
+        rowIndex
+      );
+      addSearchTerms(
+        searchPostings,
+        tokenizeSearchText(subdomain),
+        SEARCH_FIELD_ARTIST,
+        rowIndex
+      );
+      for (const tagId of listing.tags || []) {
+        addSearchTerms(
+          searchPostings,
+          tagTermsById.get(tagId) || [],
+          SEARCH_FIELD_TAG,
+          rowIndex
+        );
+        if (canonicalTagIds.has(tagId)) {
+          addSearchTerms(
+            searchPostings,
+            tagTermsById.get(canonicalTagIds.get(tagId)) || [],
+            SEARCH_FIELD_TAG,
+            rowIndex
+          );
+        }
+      }
+    });
+
+    const searchTerms = Array.from(searchPostings.keys()).sort();
+
+    return {
+      urls: rows,
+      licenseCounts,
+      tagRows,
+      licenseRows,
+      favoriteRows,
+      artistRows,
+      artistByRow,
+      artistNames: Array.from(artistRows.keys()).sort(compareText),
+      rowByUrlId,
+      canonicalTagIds,
+      relatedTagsCache: new Map(),
+      searchPostings,
+      searchTerms,
+      searchTermsByLength: groupTermsByLength(searchTerms),
+      searchTokenCache: new Map(),
+      shuffleCache: new Map(),
+    };
+  }
+
+  function parseTagAliases(tagAliases) {
+    const canonicalTagIds = new Map();
+    if (!tagAliases || typeof tagAliases !== "object") return canonicalTagIds;
+
+    for (const [variantValue, canonicalValue] of Object.entries(tagAliases)) {
+      const variantId = Number(variantValue);
+      const canonicalId = Number(canonicalValue);
+      if (
+        Number.isInteger(variantId) &&
+        Number.isInteger(canonicalId) &&
+        variantId !== canonicalId
+      ) {
+        canonicalTagIds.set(variantId, canonicalId);
+      }
+    }
+    return canonicalTagIds;
+  }
+
+  function getCanonicalTagIds(canonicalTagIds, tagIds) {
+    const result = new Set();
+    for (const tagId of tagIds || []) {
+      result.add(canonicalTagIds.get(tagId) ?? tagId);
+    }
+    return result;
+  }
+
+  function resolveTagId(catalog, tagId) {
+    return catalog.canonicalTagIds.get(tagId) ?? tagId;
+  }
+
+  function getTagRows(catalog, tagId) {
+    return catalog.tagRows.get(resolveTagId(catalog, tagId)) || [];
+  }
+
+  // Typo candidates only differ in length by the allowed number of edits, so
+  // bucketing terms by length keeps the edit-distance pass off most of them.
+  function groupTermsByLength(terms) {
+    const buckets = new Map();
+    for (const term of terms) {
+      const bucket = buckets.get(term.length);
+      if (bucket) {
+        bucket.push(term);
+      } else {
+        buckets.set(term.length, [term]);
+      }
+    }
+    return buckets;
+  }
+
+  // Postings pack the row position and the fields a term appeared in into one
+  // number (`rowIndex * 8 + fieldMask`) to keep the index compact.
+  function addSearchTerms(searchPostings, terms, field, rowIndex) {
+    for (const term of terms) {
+      const postings = searchPostings.get(term);
+      if (!postings) {
+        searchPostings.set(term, [rowIndex * 8 + field]);
+        continue;
+      }
+
+      const last = postings[postings.length - 1];
+      if (Math.floor(last / 8) === rowIndex) {
+        postings[postings.length - 1] = last | field;
+      } else {
+        postings.push(rowIndex * 8 + field);
+      }
+    }
+  }
+
+  function addToIndex(index, key, rowIndex) {
+    const rowIndexes = index.get(key);
+    if (rowIndexes) {
+      rowIndexes.push(rowIndex);
+    } else {
+      index.set(key, [rowIndex]);
+    }
+  }
+
+  function hasQuery(name) {
+    return Object.prototype.hasOwnProperty.call(QUERY_HANDLERS, name);
+  }
+
+  function runQuery(catalog, name, params) {
+    if (!hasQuery(name)) {
+      throw new Error(`Unknown catalog query: ${name}`);
+    }
+
+    return QUERY_HANDLERS[name](catalog, new URLSearchParams(params || ""));
+  }
+
+  function getCatalogStats(catalog) {
+    const licenseCounts = {};
+    for (const [licenseId, count] of catalog.licenseCounts) {
+      licenseCounts[String(licenseId)] = count;
+    }
+
+    const tagCounts = {};
+    for (const [tagId, rowIndexes] of catalog.tagRows) {
+      tagCounts[String(tagId)] = rowIndexes.length;
+    }
+
+    return {
+      total: catalog.urls.length,
+      license_counts: licenseCounts,
+      tag_counts: tagCounts,
+    };
+  }
+
+  function parseAlbumQuery(params) {
+    const tagIds = parseIdList([params.get("tag"), params.get("tags")]);
+
+    let cap = null;
+    if (params.has("cap")) {
+      const parsedCap = parseInteger(params.get("cap"));
+      cap = parsedCap != null && parsedCap > 0 ? parsedCap : DEFAULT_ARTIST_CAP;
+    }
+
+    const offset = parseInteger(params.get("offset"));
+    const limit = parseInteger(params.get("limit"));
+
+    return {
+      licenseId: parseLicenseParam(params),
+      tagIds,
+      anyTagIds: parseIdList([params.get("any")]),
+      genreTagIds: parseIdList([params.get("genre_tags")]),
+      excludedTagIds: parseIdList([params.get("not")]),
+      showingFaves: params.has("faves"),
+      urlIds: params.has("ids") ? parseIdList([params.get("ids")]) : null,
+      skippedUrlIds: parseIdList([params.get("skip")]),
+      skippedArtists: String(params.get("skip_artists") || "")
+        .split(",")
+        .map((artist) => artist.trim().toLowerCase())
+        .filter(Boolean),
+      text: tokenizeSearchText(params.get("q")).join(" "),
+      cap,
+      seed: parseInteger(params.get("seed")),
+      sort: Object.prototype.hasOwnProperty.call(
+        SORT_COMPARATORS,
+        params.get("sort")
+      )
+        ? params.get("sort")
+        : DEFAULT_SORT,
+      offset: offset != null && offset > 0 ? offset : 0,
+      limit:
+        limit != null && limit > 0
+          ? Math.min(limit, MAX_PAGE_SIZE)
+          : DEFAULT_PAGE_SIZE,
+    };
+  }
+
+  function parseLicenseParam(params) {
+    const code = String(params.get("lic") || "")
+      .trim()
+      .toLowerCase()
+      .replace(/_/g, "-");
+    if (code && licenseByName.has(code)) {
+      return licenseByName.get(code).bc_id;
+    }
+
+    const legacyLicense = parseInteger(params.get("license"));
+    if (legacyLicense != null && licenseIds.has(legacyLicense)) {
+      return legacyLicense;
+    }
+
+    return null;
+  }
+
+  function parseIdList(values) {
+    const ids = [];
+    for (const value of values) {
+      for (const part of String(value ?? "").split(",")) {
+        const id = parseInteger(part.trim());
+        if (id != null && !ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+    }
+    return ids;
+  }
+
+  function parseInteger(value) {
+    if (value == null || value === "") return null;
+    const parsed = Number(value);
+    return Number.isInteger(parsed) ? parsed : null;
+  }
+
+  function filterAlbums(catalog, query, scores = searchRows(catalog, query.text)) {
+    let rowIndexes = filterRowsByQuery(catalog, query);
+    if (scores) {
+      rowIndexes = rowIndexes.filter((rowIndex) => scores.has(rowIndex));
+    }
+    if (query.cap != null) {
+      rowIndexes = collapseRows(catalog, rowIndexes, query.cap);
+    }
+    return rowIndexes;
+  }
+
+  function filterRowsByQuery(catalog, query) {
+    const postingLists = [];
+
+    if (query.licenseId != null) {
+      postingLists.push(catalog.licenseRows.get(query.licenseId) || []);
+    }
+
+    for (const tagId of query.tagIds) {
+      postingLists.push(getTagRows(catalog, tagId));
+    }
+
+    if (query.anyTagIds.length > 0) {
+      postingLists.push(getTagRowsUnion(catalog, query.anyTagIds));
+    }
+
+    if (query.genreTagIds.length > 0) {
+      postingLists.push(getTagRowsUnion(catalog, query.genreTagIds));
+    }
+
+    if (query.showingFaves) {
+      postingLists.push(catalog.favoriteRows);
+    }
+
+    if (query.urlIds != null) {
+      postingLists.push(getUrlIdRows(catalog, query.urlIds));
+    }
+
+    let rowIndexes;
+    if (postingLists.length === 0) {
+      rowIndexes = catalog.urls.map((_, rowIndex) => rowIndex);
+    } else {
+      // Copy the seed list: callers shuffle and sort the result in place and
+      // must not reorder the shared indexes.
+      postingLists.sort((a, b) => a.length - b.length);
+      rowIndexes = postingLists
+        .slice(1)
+        .reduce(intersectRows, postingLists[0].slice());
+    }
+
+    if (query.excludedTagIds.length > 0) {
+      rowIndexes = subtractRows(
+        rowIndexes,
+        getTagRowsUnion(catalog, query.excludedTagIds)
+      );
+    }
+
+    if (query.skippedUrlIds.length > 0) {
+      rowIndexes = subtractRows(
+        rowIndexes,
+        getUrlIdRows(catalog, query.skippedUrlIds)
+      );
+    }
+
+    if (query.skippedArtists.length > 0) {
+      rowIndexes = subtractRows(
+        rowIndexes,
+        query.skippedArtists
+          .map((artist) => catalog.artistRows.get(artist) || [])
+          .reduce(unionRows, [])
+      );
+    }
+
+    return rowIndexes;
+  }
+
+  function getUrlIdRows(catalog, urlIds) {
+    return urlIds
+      .map((urlId) => catalog.rowByUrlId.get(urlId))
+      .filter((rowIndex) => rowIndex != null)
+      .sort((a, b) => a - b);
+  }
+
+  function getTagRowsUnion(catalog, tagIds) {
+    return tagIds
+      .map((tagId) => getTagRows(catalog, tagId))
+      .reduce(unionRows, []);
+  }
+
+  function unionRows(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length || j < b.length) {
+      if (j >= b.length || (i < a.length && a[i] < b[j])) {
+        result.push(a[i++]);
+      } else if (i >= a.length || b[j] < a[i]) {
+        result.push(b[j++]);
+      } else {
+        result.push(a[i]);
+        i++;
+        j++;
+      }
+    }
+
+    return result;
+  }
+
+  function subtractRows(a, b) {
+    const result = [];
+    let j = 0;
+
+    for (const rowIndex of a) {
+      while (j < b.length && b[j] < rowIndex) j++;
+      if (b[j] !== rowIndex) result.push(rowIndex);
+    }
+
+    return result;
+  }
+
+  function intersectRows(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push(a[i]);
+        i++;
+        j++;
+      } else if (a[i] < b[j]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return result;
+  }
+
+  // Every word of at least MIN_PREFIX_LENGTH has to match the row. Artist
+  // subdomains have no spaces ("sigurros"), so runs of neighbouring words are
+  // also joined up and matched against the artist field, covering each word in
+  // the run.
+  function searchRows(catalog, text) {
+    const words = tokenizeSearchText(text);
+    const required = words.map((word) => word.length >= MIN_PREFIX_LENGTH);
+    if (!required.includes(true)) return null;
+
+    const wordMatches = words.map((word, index) =>
+      required[index] ? [scoreSearchToken(catalog, word)] : []
+    );
+    for (let from = 0; from < words.length; from++) {
+      const lastWord = Math.min(words.length, from + ARTIST_JOIN_MAX_WORDS) - 1;
+      for (let to = from + 1; to <= lastWord; to++) {
+        const artistScores = scoreSearchToken(
+          catalog,
+          words.slice(from, to + 1).join(""),
+          SEARCH_FIELD_ARTIST
+        );
+        for (let index = from; index <= to; index++) {
+          wordMatches[index].push(artistScores);
+        }
+      }
+    }
+
+    const scores = new Map();
+    for (const tokenScores of wordMatches[required.indexOf(true)]) {
+      for (const rowIndex of tokenScores.keys()) {
+        if (scores.has(rowIndex)) continue;
+
+        let total = 0;
+        for (let index = 0; index < words.length; index++) {
+          if (!required[index]) continue;
+
+          let best = 0;
+          for (const matchScores of wordMatches[index]) {
+            best = Math.max(best, matchScores.get(rowIndex) || 0);
+          }
+          if (best === 0) {
+            total = 0;
+            break;
+          }
+          total += best;
+        }
+        if (total > 0) scores.set(rowIndex, total);
+      }
+    }
+
+    return scores;
+  }
+
+  function scoreSearchToken(
+    catalog,
+    token,
+    fieldMask = SEARCH_FIELD_TITLE | SEARCH_FIELD_ARTIST | SEARCH_FIELD_TAG
+  ) {
+    const tokenScores = new Map();
+
+    for (const [term, matchWeight] of expandSearchToken(catalog, token)) {
+      for (const posting of catalog.searchPostings.get(term)) {
+        const fields = posting % 8 & fieldMask;
+        if (!fields) continue;
+
+        const rowIndex = Math.floor(posting / 8);
+        const score = getFieldWeight(fields) * matchWeight;
+        if (score > (tokenScores.get(rowIndex) || 0)) {
+          tokenScores.set(rowIndex, score);
+        }
+      }
+    }
+
+    return tokenScores;
+  }
+
+  function expandSearchToken(catalog, token) {
+    const cached = catalog.searchTokenCache.get(token);
+    if (cached) {
+      catalog.searchTokenCache.delete(token);
+      catalog.searchTokenCache.set(token, cached);
+      return cached;
+    }
+
+    const matches = new Map();
+    if (catalog.searchPostings.has(token)) {
+      matches.set(token, SEARCH_MATCH_EXACT);
+    }
+
+    if (token.length >= MIN_PREFIX_LENGTH) {
+      const terms = catalog.searchTerms;
+      for (let i = lowerBound(terms, token); i < terms.length; i++) {
+        if (!terms[i].startsWith(token)) break;
+        if (!matches.has(terms[i])) matches.set(terms[i], SEARCH_MATCH_PREFIX);
+      }
+    }
+
+    const maxTypos = getMaxTypos(token);
+    if (maxTypos > 0) {
+      const maxLength = token.length + maxTypos;
+      for (let length = token.length - maxTypos; length <= maxLength; length++) {
+        for (const term of catalog.searchTermsByLength.get(length) || []) {
+          if (matches.has(term)) continue;
+          if (getEditDistance(term, token, maxTypos) <= maxTypos) {
+            matches.set(term, SEARCH_MATCH_TYPO);
+          }
+        }
+      }
+    }
+
+    catalog.searchTokenCache.set(token, matches);
+    if (catalog.searchTokenCache.size > SEARCH_TOKEN_CACHE_SIZE) {
+      catalog.searchTokenCache.delete(catalog.searchTokenCache.keys().next().value);
+    }
+
+    return matches;
+  }
+
+  function getFieldWeight(fieldMask) {
+    for (const [field, weight] of SEARCH_FIELD_WEIGHTS) {
+      if (fieldMask & field) return weight;
+    }
+    return 0;
+  }
+
+  function lowerBound(sortedValues, value) {
+    let low = 0;
+    let high = sortedValues.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (sortedValues[middle] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  function getMaxTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  // Optimal string alignment distance, abandoned early once it exceeds `max`.
+  function getEditDistance(a, b, max) {
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let distance = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+
+        if (
+          previousPrevious &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          distance = Math.min(distance, previousPrevious[j - 2] + 1);
+        }
+
+        current.push(distance);
+        rowMin = Math.min(rowMin, distance);
+      }
+
+      if (rowMin > max) return max + 1;
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  function foldText(value) {
+    return String(value ?? "")
+      .normalize("NFKD")
+      .replace(/\p{M}+/gu, "")
+      .toLowerCase()
+      .replace(/[ßæœøłđðþı]/g, (letter) => FOLDED_LETTERS[letter]);
+  }
+
+  function tokenizeSearchText(value) {
+    return foldText(value).match(SEARCH_WORD_PATTERN) || [];
+  }
+
+  // Single letters would match next to nothing on their own, so a query only
+  // filters on its words of MIN_PREFIX_LENGTH or more.
+  function tokenizeSearchQuery(value) {
+    return tokenizeSearchText(value).filter(
+      (token) => token.length >= MIN_PREFIX_LENGTH
+    );
+  }
+
+  function matchesSearchToken(term, token) {
+    if (term === token) return true;
+    if (token.length >= MIN_PREFIX_LENGTH && term.startsWith(token)) return true;
+
+    const maxTypos = getMaxTypos(token);
+    return (
+      maxTypos > 0 &&
+      Math.abs(term.length - token.length) <= maxTypos &&
+      getEditDistance(term, token, maxTypos) <= maxTypos
+    );
+  }
+
+  function collapseRows(catalog, rowIndexes, limit) {
+    const counts = new Map();
+
+    return rowIndexes.filter((rowIndex) => {
+      const subdomain = catalog.artistByRow[rowIndex];
+      if (!subdomain) return false;
+
+      const count = (counts.get(subdomain) || 0) + 1;
+      counts.set(subdomain, count);
+      return count <= limit;
+    });
+  }
+
+  function queryAlbums(catalog, params) {
+    const query = parseAlbumQuery(params);
+    const seed = query.seed != null ? query.seed >>> 0 : createSeed();
+    const shuffled = getShuffledAlbums(catalog, query, seed);
+
+    return {
+      total: shuffled.length,
+      offset: query.offset,
+      limit: query.limit,
+      seed,
+      items: shuffled.slice(query.offset, query.offset + query.limit),
+    };
+  }
+
+  function getShuffledAlbums(catalog, query, seed) {
+    const key = JSON.stringify([
+      query.licenseId,
+      query.tagIds,
+      query.anyTagIds,
+      query.genreTagIds,
+      query.excludedTagIds,
+      query.showingFaves,
+      query.urlIds,
+      query.skippedUrlIds,
+      query.skippedArtists,
+      query.text,
+      query.cap,
+      query.sort,
+      seed,
+    ]);
+
+    const cached = catalog.shuffleCache.get(key);
+    if (cached) {
+      catalog.shuffleCache.delete(key);
+      catalog.shuffleCache.set(key, cached);
+      return cached;
+    }
+
+    // Sorts are stable, so the seeded shuffle breaks ties. Text searches
+    // without an explicit sort are ranked by relevance.
+    const scores = searchRows(catalog, query.text);
+    const rowIndexes = filterAlbums(catalog, query, scores);
+    shuffleInPlace(rowIndexes, createSeededRandom(seed));
+    if (query.sort !== DEFAULT_SORT) {
+      const compare = SORT_COMPARATORS[query.sort];
+      rowIndexes.sort((a, b) => compare(catalog, a, b));
+    } else if (scores) {
+      rowIndexes.sort((a, b) => scores.get(b) - scores.get(a));
+    }
+    const shuffled = rowIndexes.map((rowIndex) => catalog.urls[rowIndex]);
+
+    catalog.shuffleCache.set(key, shuffled);
+    if (catalog.shuffleCache.size > SHUFFLE_CACHE_SIZE) {
+      catalog.shuffleCache.delete(catalog.shuffleCache.keys().next().value);
+    }
+
+    return shuffled;
+  }
+
+  function compareText(a, b) {
+    return textCollator.compare(String(a || ""), String(b || ""));
+  }
+
+  function pickRandomAlbum(catalog, params) {
+    const query = parseAlbumQuery(params);
+    const candidates = collapseRows(
+      catalog,
+      filterAlbums(catalog, query),
+      RANDOM_ARTIST_CAP
+    );
+    if (candidates.length === 0) return null;
+
+    const random =
+      query.seed != null ? createSeededRandom(query.seed) : Math.random;
+    return catalog.urls[candidates[Math.floor(random() * candidates.length)]];
+  }
+
+  function findAlbum(catalog, params) {
+    const rowIndex = catalog.rowByUrlId.get(parseInteger(params.get("id")));
+    return rowIndex == null ? null : catalog.urls[rowIndex];
+  }
+
+  // With `for`, returns the tags each listed tag most often appears with across
+  // the whole catalog. Otherwise counts tags within the albums matching the
+  // usual album filters, leaving out the tags already filtered on.
+  function getRelatedTags(catalog, params) {
+    const limit = parseInteger(params.get("limit"));
+    const pageSize =
+      limit != null && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : RELATED_TAG_LIMIT;
+
+    if (params.has("for")) {
+      const items = {};
+      const tagIds = parseIdList([params.get("for")]).slice(0, RELATED_FOR_LIMIT);
+      for (const tagId of tagIds) {
+        const canonicalId = resolveTagId(catalog, tagId);
+        items[String(tagId)] = catalog.tagRows.has(canonicalId)
+          ? getTagCooccurrence(catalog, canonicalId).slice(0, pageSize)
+          : [];
+      }
+      return { items };
+    }
+
+    const query = parseAlbumQuery(params);
+    const rowIndexes = filterAlbums(catalog, query);
+    const skippedTagIds = getCanonicalTagIds(catalog.canonicalTagIds, [
+      ...query.tagIds,
+      ...query.anyTagIds,
+      ...query.excludedTagIds,
+    ]);
+
+    return {
+      total: rowIndexes.length,
+      items: countRowTags(catalog, rowIndexes, skippedTagIds).slice(0, pageSize),
+    };
+  }
+
+  // Tag counts are taken within the albums matching every filter, so each one
+  // is the size of the result after also requiring that tag. License counts
+  // lift the license filter so switching to another license shows its total.
+  function getFacetCounts(catalog, params) {
+    const query = parseAlbumQuery(params);
+    const rowIndexes = filterAlbums(catalog, query);
+
+    const tagCounts = {};
+    for (const entry of countRowTags(catalog, rowIndexes, new Set())) {
+      tagCounts[String(entry.tag_id)] = entry.count;
+    }
+
+    const licenseCounts = {};
+    const licenseRowIndexes =
+      query.licenseId == null
+        ? rowIndexes
+        : filterAlbums(catalog, { ...query, licenseId: null });
+    for (const rowIndex of licenseRowIndexes) {
+      const licenseId = String(catalog.urls[rowIndex].license);
+      licenseCounts[licenseId] = (licenseCounts[licenseId] || 0) + 1;
+    }
+
+    return {
+      total: rowIndexes.length,
+      tag_counts: tagCounts,
+      license_counts: licenseCounts,
+    };
+  }
+
+  function getTagCooccurrence(catalog, tagId) {
+    const cached = catalog.relatedTagsCache.get(tagId);
+    if (cached) {
+      catalog.relatedTagsCache.delete(tagId);
+      catalog.relatedTagsCache.set(tagId, cached);
+      return cached;
+    }
+
+    const related = countRowTags(
+      catalog,
+      catalog.tagRows.get(tagId) || [],
+      new Set([tagId])
+    ).slice(0, MAX_PAGE_SIZE);
+    catalog.relatedTagsCache.set(tagId, related);
+    if (catalog.relatedTagsCache.size > RELATED_TAGS_CACHE_SIZE) {
+      catalog.relatedTagsCache.delete(catalog.relatedTagsCache.keys().next().value);
+    }
+    return related;
+  }
+
+  function countRowTags(catalog, rowIndexes, skippedTagIds) {
+    const counts = new Map();
+    for (const rowIndex of rowIndexes) {
+      for (const tagId of getCanonicalTagIds(
+        catalog.canonicalTagIds,
+        catalog.urls[rowIndex].tags
+      )) {
+        if (skippedTagIds.has(tagId)) continue;
+        counts.set(tagId, (counts.get(tagId) || 0) + 1);
+      }
+    }
+
+    return Array.from(counts, ([tagId, count]) => ({ tag_id: tagId, count })).sort(
+      (a, b) => b.count - a.count || a.tag_id - b.tag_id
+    );
+  }
+
+  function getArtistSummary(catalog, params) {
+    const artist = String(params.get("name") || "")
+      .trim()
+      .toLowerCase();
+    const rowIndexes = catalog.artistRows.get(artist) || [];
+    const licenseCounts = {};
+
+    for (const rowIndex of rowIndexes) {
+      const licenseKey = String(catalog.urls[rowIndex].license);
+      licenseCounts[licenseKey] = (licenseCounts[licenseKey] || 0) + 1;
+    }
+
+    const topTags = countRowTags(catalog, rowIndexes, new Set()).slice(
+      0,
+      ARTIST_TOP_TAG_COUNT
+    );
+
+    return {
+      artist,
+      total: rowIndexes.length,
+      license_counts: licenseCounts,
+      top_tags: topTags,
+      items: rowIndexes.map((rowIndex) => catalog.urls[rowIndex]),
+    };
+  }
+
+  // The directory is grouped by the first letter of the folded subdomain;
+  // anything that does not start with a-z lands under "#".
+  function queryArtists(catalog, params) {
+    const needle = tokenizeSearchText(params.get("q")).join("");
+    const letter = String(params.get("letter") || "").toUpperCase();
+    const offset = parseInteger(params.get("offset"));
+    const limit = parseInteger(params.get("limit"));
+    const start = offset != null && offset > 0 ? offset : 0;
+    const pageSize =
+      limit != null && limit > 0
+        ? Math.min(limit, MAX_PAGE_SIZE)
+        : DEFAULT_PAGE_SIZE;
+
+    const letterCounts = {};
+    const matches = [];
+    for (const artist of catalog.artistNames) {
+      const foldedName = tokenizeSearchText(artist).join("");
+      if (needle && !foldedName.includes(needle)) continue;
+
+      const artistLetter = getArtistLetter(foldedName);
+      letterCounts[artistLetter] = (letterCounts[artistLetter] || 0) + 1;
+      if (letter && artistLetter !== letter) continue;
+
+      matches.push(artist);
+    }
+
+    return {
+      total: matches.length,
+      offset: start,
+      limit: pageSize,
+      letter_counts: letterCounts,
+      items: matches.slice(start, start + pageSize).map((artist) => ({
+        artist,
+        count: catalog.artistRows.get(artist).length,
+      })),
+    };
+  }
+
+  function getArtistLetter(foldedName) {
+    const first = foldedName.charAt(0);
+    return first >= "a" && first <= "z" ? first.toUpperCase() : "#";
+  }
+
+  function getArtistSubdomain(url) {
+    const match = String(url || "").match(/^https?:\/\/(.+)\.bandcamp\.com/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  function createSeededRandom(seed) {
+    let value = seed >>> 0;
+
+    return function next() {
+      value = (value + 0x6d2b79f5) >>> 0;
+      let mixed = value;
+      mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+      mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+      return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function shuffleInPlace(list, random = Math.random) {
+    for (let i = list.length - 1; i > 0; i--) {
+      const randomIndex = Math.floor(random() * (i + 1));
+      [list[i], list[randomIndex]] = [list[randomIndex], list[i]];
+    }
+  }
+
+  return {
+    LICENSES,
+    DEFAULT_ARTIST_CAP,
+    createCatalog,
+    hasQuery,
+    runQuery,
+    parseAlbumQuery,
+    getArtistSubdomain,
+    createSeed,
+    createSeededRandom,
+    shuffleInPlace,
+    foldText,
+    tokenizeSearchText,
+    tokenizeSearchQuery,
+    matchesSearchToken,
+  };
+});
@@ -67,7 +67,7 @@ while [[ $# -gt 0 ]]; do
   shift
 done
 
-for required in index.html app.js styles.css public; do
+for required in index.html app.js catalog.js catalog-worker.js styles.css public config/genre-tree.json; do
   if [[ ! -e "$ROOT_DIR/$required" ]]; then
     echo "Missing required source: $ROOT_DIR/$required" >&2
     exit 1
@@ -87,10 +87,14 @@ fi
 
 run install -d "$TARGET_DIR"
 run install -d "$TARGET_DIR/public"
+run install -d "$TARGET_DIR/config"
 run install -m 0644 "$ROOT_DIR/index.html" "$TARGET_DIR/index.html"
 run install -m 0644 "$ROOT_DIR/app.js" "$TARGET_DIR/app.js"
+run install -m 0644 "$ROOT_DIR/catalog.js" "$TARGET_DIR/catalog.js"
+run install -m 0644 "$ROOT_DIR/catalog-worker.js" "$TARGET_DIR/catalog-worker.js"
 run install -m 0644 "$ROOT_DIR/styles.css" "$TARGET_DIR/styles.css"
 run install -m 0644 "$ROOT_DIR/favicon.svg" "$TARGET_DIR/favicon.svg"
+run install -m 0644 "$ROOT_DIR/config/genre-tree.json" "$TARGET_DIR/config/genre-tree.json"
 
 if [[ "$DRY_RUN" -eq 1 ]]; then
   print_cmd "[dry-run]" rsync -a --delete "$ROOT_DIR/public/" "$TARGET_DIR/public/"
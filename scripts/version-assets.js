@@ -4,6 +4,7 @@ const crypto = require("crypto");
 
 const rootDir = path.resolve(__dirname, "..");
 const indexPath = path.join(rootDir, "index.html");
+const appPath = path.join(rootDir, "app.js");
 
 function hashFile(filePath) {
   const buffer = fs.readFileSync(filePath);
@@ -16,9 +17,42 @@ function updateAssetVersion(html, assetName, version) {
   return html.replace(pattern, `${assetName}?v=${version}`);
 }
 
+function updateConstantPath(source, constantName, assetName, version) {
+  const pattern = new RegExp(`(const ${constantName} = )"[^"]*"`);
+  return source.replace(pattern, `$1"${assetName}?v=${version}"`);
+}
+
+// app.js starts the catalog worker itself, so the worker and the catalog.js it
+// imports are stamped there before app.js is hashed.
+function updateAppAssetPaths(workerVersion, catalogVersion) {
+  const current = fs.readFileSync(appPath, "utf8");
+  let next = updateConstantPath(
+    current,
+    "CATALOG_WORKER_PATH",
+    "catalog-worker.js",
+    workerVersion
+  );
+  next = updateConstantPath(
+    next,
+    "CATALOG_SCRIPT_PATH",
+    "catalog.js",
+    catalogVersion
+  );
+
+  if (next !== current) {
+    fs.writeFileSync(appPath, next, "utf8");
+    console.log("Updated app.js worker asset versions.");
+  }
+}
+
 function main() {
+  const workerVersion = hashFile(path.join(rootDir, "catalog-worker.js"));
+  const catalogVersion = hashFile(path.join(rootDir, "catalog.js"));
+  updateAppAssetPaths(workerVersion, catalogVersion);
+
   const assetFiles = {
     "styles.css": hashFile(path.join(rootDir, "styles.css")),
+    "catalog.js": catalogVersion,
     "app.js": hashFile(path.join(rootDir, "app.js")),
   };
 
@@ -26,6 +60,7 @@ function main() {
   let next = current;
 
   next = updateAssetVersion(next, "styles.css", assetFiles["styles.css"]);
+  next = updateAssetVersion(next, "catalog.js", assetFiles["catalog.js"]);
   next = updateAssetVersion(next, "app.js", assetFiles["app.js"]);
 
   if (next !== current) {
@@ -36,7 +71,9 @@ function main() {
   }
 
   console.log(`styles.css?v=${assetFiles["styles.css"]}`);
+  console.log(`catalog.js?v=${assetFiles["catalog.js"]}`);
   console.log(`app.js?v=${assetFiles["app.js"]}`);
+  console.log(`catalog-worker.js?v=${workerVersion}`);
 }
 
 main();
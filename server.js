@@ -1,9 +1,17 @@
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const Catalog = require("./catalog.js");
 
 const rootDir = __dirname;
 const port = Number(process.env.PORT || 4173);
+const urlsPath = path.join(rootDir, "public", "urls.json");
+const tagsPath = path.join(rootDir, "public", "tags.json");
+const tagAliasesPath = path.join(rootDir, "public", "tag-aliases.json");
+const apiPrefix = "/api/";
+
+let catalogCache = null;
+let pendingCatalogLoad = null;
 
 const mimeTypes = {
   ".html": "text/html; charset=utf-8",
@@ -47,7 +55,185 @@ function sendFile(filePath, response) {
   });
 }
 
+function sendJson(response, statusCode, payload) {
+  response.writeHead(statusCode, {
+    "Content-Type": mimeTypes[".json"],
+    "Cache-Control": "no-store",
+  });
+  response.end(JSON.stringify(payload));
+}
+
+function readJsonArray(filePath, callback) {
+  fs.readFile(filePath, "utf8", (readError, text) => {
+    if (readError) {
+      callback(readError);
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      callback(parseError);
+      return;
+    }
+
+    if (!Array.isArray(data)) {
+      callback(new Error(`${filePath} must contain a JSON array`));
+      return;
+    }
+
+    callback(null, data);
+  });
+}
+
+// tag-aliases.json is optional: without it the catalog indexes tags as stored.
+function readTagAliases(callback) {
+  fs.readFile(tagAliasesPath, "utf8", (readError, text) => {
+    if (readError) {
+      callback(readError.code === "ENOENT" ? null : readError, {});
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      callback(parseError);
+      return;
+    }
+
+    callback(null, data && typeof data.aliases === "object" ? data.aliases : {});
+  });
+}
+
+// The version changes whenever one of the catalog's source files is rewritten.
+function getCatalogVersion(callback) {
+  fs.stat(urlsPath, (urlsStatError, urlsStats) => {
+    if (urlsStatError) {
+      callback(urlsStatError);
+      return;
+    }
+
+    fs.stat(tagsPath, (tagsStatError, tagsStats) => {
+      if (tagsStatError) {
+        callback(tagsStatError);
+        return;
+      }
+
+      fs.stat(tagAliasesPath, (aliasesStatError, aliasesStats) => {
+        const aliasesVersion = aliasesStatError ? 0 : aliasesStats.mtimeMs;
+        callback(
+          null,
+          `${urlsStats.mtimeMs}:${tagsStats.mtimeMs}:${aliasesVersion}`
+        );
+      });
+    });
+  });
+}
+
+function loadCatalog(callback) {
+  getCatalogVersion((versionError, version) => {
+    if (versionError) {
+      callback(versionError);
+      return;
+    }
+
+    if (catalogCache && catalogCache.version === version) {
+      callback(null, catalogCache.catalog);
+      return;
+    }
+
+    // Requests that arrive while the catalog is being built wait for that
+    // build instead of parsing and indexing it again.
+    if (pendingCatalogLoad && pendingCatalogLoad.version === version) {
+      pendingCatalogLoad.callbacks.push(callback);
+      return;
+    }
+
+    const pending = { version, callbacks: [callback] };
+    pendingCatalogLoad = pending;
+    const finish = (error, catalog) => {
+      if (pendingCatalogLoad === pending) {
+        pendingCatalogLoad = null;
+      }
+      for (const waiting of pending.callbacks) {
+        waiting(error, catalog);
+      }
+    };
+
+    readJsonArray(urlsPath, (urlsError, urls) => {
+      if (urlsError) {
+        finish(urlsError);
+        return;
+      }
+
+      readJsonArray(tagsPath, (tagsError, tags) => {
+        if (tagsError) {
+          finish(tagsError);
+          return;
+        }
+
+        readTagAliases((aliasesError, tagAliases) => {
+          if (aliasesError) {
+            finish(aliasesError);
+            return;
+          }
+
+          let catalog;
+          try {
+            catalog = Catalog.createCatalog(urls, tags, tagAliases);
+          } catch (buildError) {
+            finish(buildError);
+            return;
+          }
+
+          catalogCache = { version, catalog };
+          finish(null, catalog);
+        });
+      });
+    });
+  });
+}
+
+function handleApiRequest(request, response) {
+  const requestUrl = new URL(request.url, "http://localhost");
+  const queryName = requestUrl.pathname.slice(apiPrefix.length);
+
+  if (request.method !== "GET" || !Catalog.hasQuery(queryName)) {
+    sendJson(response, 404, { error: "Unknown API endpoint" });
+    return;
+  }
+
+  loadCatalog((error, catalog) => {
+    if (error) {
+      // A missing data file means the catalog is not there yet; anything else
+      // is broken data.
+      console.error("Failed to load catalog", error.message);
+      sendJson(response, error.code === "ENOENT" ? 503 : 500, {
+        error: "Catalog unavailable",
+      });
+      return;
+    }
+
+    try {
+      sendJson(
+        response,
+        200,
+        Catalog.runQuery(catalog, queryName, requestUrl.searchParams)
+      );
+    } catch (queryError) {
+      sendJson(response, 400, { error: queryError.message });
+    }
+  });
+}
+
 const server = http.createServer((request, response) => {
+  if ((request.url || "").startsWith(apiPrefix)) {
+    handleApiRequest(request, response);
+    return;
+  }
+
   const filePath = resolvePath(request.url);
 
   if (!filePath) {
@@ -5,9 +5,11 @@ const path = require("path");
 const ROOT_DIR = path.resolve(__dirname, "../..");
 const DEFAULT_URLS = path.join(ROOT_DIR, "public", "urls.json");
 const DEFAULT_FAVORITES = path.join(ROOT_DIR, "config", "favorites.bc_ids.json");
+const DEFAULT_TAGS = path.join(ROOT_DIR, "public", "tags.json");
+const DEFAULT_ALIASES = path.join(ROOT_DIR, "config", "tag-aliases.json");
 
 function usage() {
-  console.log(`Validate urls.json integrity against the favorites overlay.
+  console.log(`Validate urls.json integrity against the favorites overlay and tag aliases.
 
 Usage:
   node scripts/check-urls-integrity.js [options]
@@ -17,6 +19,10 @@ Options:
                      Default: ${DEFAULT_URLS}
   --favorites PATH   Favorites config path.
                      Default: ${DEFAULT_FAVORITES}
+  --tags PATH        tags.json path.
+                     Default: ${DEFAULT_TAGS}
+  --aliases PATH     Tag aliases config path.
+                     Default: ${DEFAULT_ALIASES}
   -h, --help         Show this help.
 `);
 }
@@ -25,6 +31,8 @@ function parseArgs(argv) {
   const options = {
     urls: DEFAULT_URLS,
     favorites: DEFAULT_FAVORITES,
+    tags: DEFAULT_TAGS,
+    aliases: DEFAULT_ALIASES,
   };
 
   for (let index = 0; index < argv.length; index += 1) {
@@ -46,6 +54,22 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--tags") {
+      const value = argv[index + 1];
+      if (!value) throw new Error("Missing value for --tags");
+      options.tags = value;
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--aliases") {
+      const value = argv[index + 1];
+      if (!value) throw new Error("Missing value for --aliases");
+      options.aliases = value;
+      index += 1;
+      continue;
+    }
+
     if (arg === "-h" || arg === "--help") {
       usage();
       process.exit(0);
@@ -106,10 +130,33 @@ function parseFavoriteIds(configPath) {
   return Array.from(new Set(normalized));
 }
 
+function parseTagAliases(configPath) {
+  const text = fs.readFileSync(configPath, "utf8");
+  const config = parseJson(text, configPath);
+
+  if (
+    !config ||
+    typeof config !== "object" ||
+    Array.isArray(config) ||
+    !config.aliases ||
+    typeof config.aliases !== "object" ||
+    Array.isArray(config.aliases)
+  ) {
+    throw new Error(`${configPath} must contain an object field "aliases"`);
+  }
+
+  return Object.entries(config.aliases).map(([variantValue, canonicalValue]) => ({
+    variantId: Number(variantValue),
+    canonicalId: Number(canonicalValue),
+  }));
+}
+
 function main() {
   const options = parseArgs(process.argv.slice(2));
   const urlsPath = resolvePath(options.urls);
   const favoritesPath = resolvePath(options.favorites);
+  const tagsPath = resolvePath(options.tags);
+  const aliasesPath = resolvePath(options.aliases);
 
   const urlsText = fs.readFileSync(urlsPath, "utf8");
   const urls = parseJson(urlsText, urlsPath);
@@ -117,6 +164,22 @@ function main() {
     throw new Error(`${urlsPath} must contain a JSON array`);
   }
 
+  const tags = parseJson(fs.readFileSync(tagsPath, "utf8"), tagsPath);
+  if (!Array.isArray(tags)) {
+    throw new Error(`${tagsPath} must contain a JSON array`);
+  }
+  const tagIds = new Set(tags.map((tag) => Number(tag.tag_id)));
+
+  const aliases = parseTagAliases(aliasesPath);
+  const aliasedTagIds = new Set(aliases.map((alias) => alias.variantId));
+  const brokenAliases = aliases.filter(
+    ({ variantId, canonicalId }) =>
+      !tagIds.has(variantId) ||
+      !tagIds.has(canonicalId) ||
+      variantId === canonicalId ||
+      aliasedTagIds.has(canonicalId)
+  );
+
   const favoriteIds = parseFavoriteIds(favoritesPath);
   const favoriteSet = new Set(favoriteIds);
   const presentBcIds = new Set();
@@ -124,6 +187,7 @@ function main() {
   const duplicateUrlIds = [];
   const invalidUrlIds = [];
   const unexpectedFavorites = [];
+  const unaliasedRows = [];
 
   const seenUrlIds = new Set();
 
@@ -137,6 +201,13 @@ function main() {
       seenUrlIds.add(urlId);
     }
 
+    if (
+      Array.isArray(row.tags) &&
+      row.tags.some((tagId) => aliasedTagIds.has(tagId))
+    ) {
+      unaliasedRows.push(row.url_id);
+    }
+
     const bcId = Number(row.bc_id);
     if (Number.isInteger(bcId) && bcId > 0) {
       presentBcIds.add(bcId);
@@ -172,8 +243,11 @@ function main() {
   console.log(`rows=${urls.length}`);
   console.log(`favorite_rows=${favoriteRows.length}`);
   console.log(`overlay_bc_ids=${favoriteIds.length}`);
+  console.log(`tag_aliases=${aliases.length}`);
 
   const hasFailures =
+    brokenAliases.length > 0 ||
+    unaliasedRows.length > 0 ||
     invalidUrlIds.length > 0 ||
     duplicateUrlIds.length > 0 ||
     missingFavoriteIds.length > 0 ||
@@ -185,6 +259,28 @@ function main() {
     return;
   }
 
+  if (brokenAliases.length > 0) {
+    console.error(
+      `Tag aliases pointing at missing tags or other aliases: ${brokenAliases.length}`
+    );
+    for (const { variantId, canonicalId } of brokenAliases.slice(0, 10)) {
+      const problems = [];
+      if (!tagIds.has(variantId)) problems.push("alias tag missing");
+      if (!tagIds.has(canonicalId)) problems.push("canonical tag missing");
+      if (variantId === canonicalId) problems.push("points at itself");
+      if (aliasedTagIds.has(canonicalId)) problems.push("canonical tag is an alias");
+      console.error(`  ${variantId} -> ${canonicalId}: ${problems.join(", ")}`);
+    }
+  }
+
+  if (unaliasedRows.length > 0) {
+    console.error(
+      `Rows still using aliased tag ids (run: npm run sync:urls): ${unaliasedRows
+        .slice(0, 10)
+        .join(", ")}`
+    );
+  }
+
   if (invalidUrlIds.length > 0) {
     console.error(
       `Invalid url_id values: ${invalidUrlIds
@@ -7,9 +7,12 @@ const DEFAULT_SOURCE =
   "https://raw.githubusercontent.com/handeyeco/cc-bc/refs/heads/main/public/urls.json";
 const DEFAULT_OUTPUT = path.join(ROOT_DIR, "public", "urls.json");
 const DEFAULT_FAVORITES = path.join(ROOT_DIR, "config", "favorites.bc_ids.json");
+const DEFAULT_ALIASES = path.join(ROOT_DIR, "config", "tag-aliases.json");
+const ALIASES_OUTPUT_NAME = "tag-aliases.json";
 
 function usage() {
-  console.log(`Sync public/urls.json from upstream and apply local favorites overlay.
+  console.log(`Sync public/urls.json from upstream and apply local favorites overlay
+and tag aliases.
 
 Usage:
   node scripts/sync-upstream-urls.js [options]
@@ -21,6 +24,9 @@ Options:
                      Default: ${DEFAULT_OUTPUT}
   --favorites PATH   Favorites config path.
                      Default: ${DEFAULT_FAVORITES}
+  --aliases PATH     Tag aliases config path. The aliases are also written
+                     next to the output as ${ALIASES_OUTPUT_NAME}.
+                     Default: ${DEFAULT_ALIASES}
   --check            Do not write files; exit non-zero if output would change.
   -h, --help         Show this help.
 `);
@@ -31,6 +37,7 @@ function parseArgs(argv) {
     source: DEFAULT_SOURCE,
     out: DEFAULT_OUTPUT,
     favorites: DEFAULT_FAVORITES,
+    aliases: DEFAULT_ALIASES,
     check: false,
   };
 
@@ -61,6 +68,14 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--aliases") {
+      const value = argv[index + 1];
+      if (!value) throw new Error("Missing value for --aliases");
+      options.aliases = value;
+      index += 1;
+      continue;
+    }
+
     if (arg === "--check") {
       options.check = true;
       continue;
@@ -153,6 +168,63 @@ function parseFavoriteIds(configPath) {
   return Array.from(new Set(normalized));
 }
 
+function parseTagAliases(configPath) {
+  const text = fs.readFileSync(configPath, "utf8");
+  const config = parseJson(text, configPath);
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${configPath} must contain a JSON object`);
+  }
+
+  if (
+    !config.aliases ||
+    typeof config.aliases !== "object" ||
+    Array.isArray(config.aliases)
+  ) {
+    throw new Error(`${configPath} must contain an object field "aliases"`);
+  }
+
+  const invalid = [];
+  const aliases = new Map();
+
+  for (const [variantValue, canonicalValue] of Object.entries(config.aliases)) {
+    const variantId = Number(variantValue);
+    const canonicalId = Number(canonicalValue);
+    if (
+      !Number.isInteger(variantId) ||
+      variantId <= 0 ||
+      !Number.isInteger(canonicalId) ||
+      canonicalId <= 0 ||
+      variantId === canonicalId
+    ) {
+      invalid.push(`${variantValue} -> ${JSON.stringify(canonicalValue)}`);
+      continue;
+    }
+    aliases.set(variantId, canonicalId);
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(
+      `Invalid tag aliases in ${configPath}: ${invalid.slice(0, 10).join(", ")}`
+    );
+  }
+
+  const chained = Array.from(aliases.values()).filter((canonicalId) =>
+    aliases.has(canonicalId)
+  );
+  if (chained.length > 0) {
+    throw new Error(
+      `Tag aliases in ${configPath} must point at canonical tags, not other aliases: ${Array.from(
+        new Set(chained)
+      )
+        .slice(0, 10)
+        .join(", ")}`
+    );
+  }
+
+  return aliases;
+}
+
 function findDuplicateUrlIds(urls) {
   const seen = new Set();
   const duplicates = [];
@@ -202,10 +274,53 @@ function applyFavorites(urls, favoriteIds) {
   };
 }
 
+function applyTagAliases(urls, aliases) {
+  let aliasedRows = 0;
+
+  for (const row of urls) {
+    if (!Array.isArray(row.tags)) continue;
+    if (!row.tags.some((tagId) => aliases.has(tagId))) continue;
+
+    row.tags = Array.from(
+      new Set(row.tags.map((tagId) => aliases.get(tagId) ?? tagId))
+    );
+    aliasedRows += 1;
+  }
+
+  return aliasedRows;
+}
+
+function buildAliasesOutput(aliases) {
+  const sorted = {};
+  for (const variantId of Array.from(aliases.keys()).sort((a, b) => a - b)) {
+    sorted[String(variantId)] = aliases.get(variantId);
+  }
+
+  return `${JSON.stringify(
+    { source: "config/tag-aliases.json", aliases: sorted },
+    null,
+    2
+  )}\n`;
+}
+
+function readCurrentOutput(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return null;
+  }
+}
+
 async function main() {
   const options = parseArgs(process.argv.slice(2));
   const outputPath = resolvePath(options.out);
   const favoritesPath = resolvePath(options.favorites);
+  const aliasesPath = resolvePath(options.aliases);
+  const aliasesOutputPath = path.join(
+    path.dirname(outputPath),
+    ALIASES_OUTPUT_NAME
+  );
 
   const sourceText = await loadSourceText(options.source);
   const urls = parseJson(sourceText, options.source);
@@ -233,19 +348,23 @@ async function main() {
     );
   }
 
+  const aliases = parseTagAliases(aliasesPath);
+  const aliasedRows = applyTagAliases(urls, aliases);
+
   const nextOutput = `${JSON.stringify(urls, null, 2)}\n`;
+  const nextAliasesOutput = buildAliasesOutput(aliases);
 
   if (options.check) {
-    let currentOutput = null;
-    try {
-      currentOutput = fs.readFileSync(outputPath, "utf8");
-    } catch (error) {
-      if (error.code !== "ENOENT") throw error;
-    }
-
-    if (currentOutput !== nextOutput) {
+    const outOfSyncPaths = [
+      [outputPath, nextOutput],
+      [aliasesOutputPath, nextAliasesOutput],
+    ]
+      .filter(([filePath, expected]) => readCurrentOutput(filePath) !== expected)
+      .map(([filePath]) => filePath);
+
+    if (outOfSyncPaths.length > 0) {
       throw new Error(
-        `Output is out of sync at ${outputPath}. Run: npm run sync:urls`
+        `Output is out of sync at ${outOfSyncPaths.join(", ")}. Run: npm run sync:urls`
       );
     }
 
@@ -253,19 +372,26 @@ async function main() {
     console.log(
       `rows=${urls.length} favorites=${favoritesCount} overlay_bc_ids=${favoriteIds.length}`
     );
+    console.log(`tag_aliases=${aliases.size} aliased_rows=${aliasedRows}`);
     return;
   }
 
   fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, nextOutput, "utf8");
+  fs.writeFileSync(aliasesOutputPath, nextAliasesOutput, "utf8");
 
-  console.log("Synced urls.json from upstream and applied favorites overlay.");
+  console.log(
+    "Synced urls.json from upstream and applied favorites overlay and tag aliases."
+  );
   console.log(`source=${options.source}`);
   console.log(`output=${outputPath}`);
   console.log(`favorites_file=${favoritesPath}`);
+  console.log(`aliases_file=${aliasesPath}`);
+  console.log(`aliases_output=${aliasesOutputPath}`);
   console.log(
     `rows=${urls.length} favorites=${favoritesCount} overlay_bc_ids=${favoriteIds.length}`
   );
+  console.log(`tag_aliases=${aliases.size} aliased_rows=${aliasedRows}`);
 }
 
 main().catch((error) => {